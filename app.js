@@ -5,20 +5,44 @@
  */
 
 import { dataLoader } from './data-loader.js';
-import { gruModel } from './gru.js';
+import { gruModel, DEFAULT_MODEL_CONFIG } from './gru.js';
+import { ARCHITECTURES } from './architectures.js';
+import { featurePipeline } from './features.js';
+import { backtester } from './backtester.js';
+import { baselineSuite } from './baselines.js';
+import { horizonMetrics, summarizeMetrics, residuals, autocorrelation, histogram, directionalAccuracy } from './metrics.js';
+import { modelRegistry } from './model-registry.js';
+import { trainingClient } from './training-client.js';
+import { reportExporter } from './report-exporter.js';
+import { strategySimulator } from './strategy-simulator.js';
+import { hyperparameterSearch } from './hyperparameter-search.js';
+import { ensembleModel, COMBINATION_METHODS } from './ensemble.js';
+import { forecastTracker } from './forecast-tracker.js';
 
 class StockPredictorApp {
     constructor() {
         this.isDataLoaded = false;
         this.isModelTrained = false;
         this.currentFile = null;
+        this.currentFiles = []; // Every selected file; one ticker each unless in long format
+        this.pendingModelState = null; // Preprocessing of a model loaded before any data
         this.priceChart = null;
         this.performanceChart = null;
+        this.backtestChart = null;
+        this.diagnosticCharts = {};
+        this.equityChart = null;
+        this.diagnostics = null;
+        this.modelScores = {}; // Architecture label -> test-set summary, for the current datasets
+        this.searchSort = { key: null, ascending: true };
         this.predictions = [];
+        this.predictionIntervals = null;
         this.datasets = null;
         
         this.initEventListeners();
+        this.renderFeatureToggles();
+        this.renderPredictionCards(dataLoader.forecastDays);
         this.updateUI();
+        this.refreshModelList();
         
         // Initialize TensorFlow.js backend
         tf.setBackend('webgl').then(() => {
@@ -42,6 +66,23 @@ class StockPredictorApp {
         const stopTrainBtn = document.getElementById('stopTrainBtn');
         const predictBtn = document.getElementById('predictBtn');
         const downloadSampleBtn = document.getElementById('downloadSampleBtn');
+        const compareBaselinesBtn = document.getElementById('compareBaselinesBtn');
+        const backtestBtn = document.getElementById('backtestBtn');
+        const stopBacktestBtn = document.getElementById('stopBacktestBtn');
+
+        // Data source tabs
+        const tabs = document.querySelectorAll('.source-tabs .tab');
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                tabs.forEach(t => t.classList.toggle('active', t === tab));
+                document.querySelectorAll('.tab-content').forEach(content => {
+                    content.classList.toggle('active', content.id === `${tab.dataset.tab}Tab`);
+                });
+            });
+        });
+
+        document.getElementById('loadGithubBtn').addEventListener('click', () => this.loadFromGitHub());
+        document.getElementById('generateSampleBtn').addEventListener('click', () => this.generateSampleData());
 
         // File selection - SIMPLE CLICK
         dropArea.addEventListener('click', (e) => {
@@ -53,7 +94,8 @@ class StockPredictorApp {
         
         fileInput.addEventListener('change', (e) => {
             console.log('File selected via input');
-            this.currentFile = e.target.files[0];
+            this.currentFiles = Array.from(e.target.files);
+            this.currentFile = this.currentFiles[0];
             this.onFileSelected();
         });
 
@@ -84,7 +126,8 @@ class StockPredictorApp {
             dropArea.style.background = '';
             
             if (e.dataTransfer.files.length) {
-                this.currentFile = e.dataTransfer.files[0];
+                this.currentFiles = Array.from(e.dataTransfer.files);
+                this.currentFile = this.currentFiles[0];
                 fileInput.files = e.dataTransfer.files;
                 this.onFileSelected();
             }
@@ -121,10 +164,123 @@ class StockPredictorApp {
             this.downloadSampleData();
         });
         
+        // Report export
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportReport('csv'));
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportReport('json'));
+        document.getElementById('exportHtmlBtn').addEventListener('click', () => this.exportReport('html'));
+        
+        compareBaselinesBtn.addEventListener('click', () => {
+            console.log('Compare baselines button clicked');
+            this.compareBaselines();
+        });
+        
+        backtestBtn.addEventListener('click', () => {
+            console.log('Backtest button clicked');
+            this.runBacktest();
+        });
+        
+        document.getElementById('diagnosticsBtn').addEventListener('click', () => this.runDiagnostics());
+        document.getElementById('strategyBtn').addEventListener('click', () => this.runStrategy());
+        
+        // Incremental updates
+        document.getElementById('updateFileInput').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.appendData(await file.text(), file.name);
+                e.target.value = '';
+            }
+        });
+        document.getElementById('appendRowBtn').addEventListener('click', () => this.appendManualRow());
+        document.getElementById('fineTuneBtn').addEventListener('click', () => this.fineTuneModel());
+        document.getElementById('clearForecastLogBtn').addEventListener('click', () => {
+            forecastTracker.clear();
+            this.renderForecastLog();
+            this.showStatus('info', 'Forecast log cleared');
+        });
+        
+        document.getElementById('searchBtn').addEventListener('click', () => this.runSearch());
+        document.getElementById('stopSearchBtn').addEventListener('click', () => {
+            hyperparameterSearch.stop();
+            this.showStatus('info', 'Search will stop after the current trial');
+        });
+        document.getElementById('retrainBestBtn').addEventListener('click', () => this.retrainBest());
+        
+        document.getElementById('trainEnsembleBtn').addEventListener('click', () => this.trainEnsemble());
+        document.getElementById('stopEnsembleBtn').addEventListener('click', () => {
+            ensembleModel.stop();
+            this.showStatus('info', 'Ensemble training will stop after the current member');
+        });
+        document.getElementById('ensembleCombine').addEventListener('change', (e) => {
+            ensembleModel.combine = e.target.value;
+            this.scoreEnsemble();
+        });
+        document.querySelectorAll('#searchTable th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => this.sortSearchResults(header.dataset.sort));
+        });
+        document.getElementById('diagnosticsDay').addEventListener('change', (e) => {
+            this.renderDiagnostics(parseInt(e.target.value));
+        });
+        
+        stopBacktestBtn.addEventListener('click', () => {
+            console.log('Stop backtest button clicked');
+            backtester.stop();
+            this.showStatus('info', 'Backtest will stop after the current fold');
+        });
+        
+        // Lookback and horizon change the sequences and the model's shape
+        ['lookbackWindow', 'forecastHorizon'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyWindowSettings());
+        });
+        
+        // A different scaler needs new sequences
+        document.getElementById('scalerType').addEventListener('change', (e) => {
+            dataLoader.scalerType = e.target.value;
+            this.reprocessData();
+        });
+        
+        // A different ticker selection rebuilds the rows from the loaded series
+        ['targetSymbol', 'exogenousSymbols', 'trainingScope'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applySeriesSelection());
+        });
+        
+        // Cleaning strategy changes re-run cleaning on the loaded data
+        ['missingStrategy', 'outlierStrategy', 'outlierMethod', 'outlierThreshold'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.reprocessData(true));
+        });
+        
+        // Model registry
+        const savedModels = document.getElementById('savedModels');
+        const modelFilesInput = document.getElementById('modelFilesInput');
+        
+        document.getElementById('saveModelBtn').addEventListener('click', () => this.saveModel());
+        document.getElementById('loadModelBtn').addEventListener('click', () => this.loadModel(savedModels.value));
+        document.getElementById('deleteModelBtn').addEventListener('click', () => this.deleteModel(savedModels.value));
+        document.getElementById('downloadModelBtn').addEventListener('click', () => this.downloadModel());
+        document.getElementById('uploadModelBtn').addEventListener('click', () => modelFilesInput.click());
+        
+        savedModels.addEventListener('change', () => {
+            if (savedModels.value) {
+                document.getElementById('modelName').value = savedModels.value;
+            }
+            this.updateUI();
+        });
+        
+        modelFilesInput.addEventListener('change', (e) => {
+            if (e.target.files.length) {
+                this.uploadModel(e.target.files);
+                e.target.value = '';
+            }
+        });
+        
         // Add paste support for CSV data
         document.addEventListener('paste', (e) => {
+            // Pasting into a form field is not a data upload
+            if (e.target.closest && e.target.closest('input, textarea, select')) {
+                return;
+            }
             const pasteData = e.clipboardData.getData('text');
-            if (pasteData && pasteData.includes(',')) {
+            // Once data is loaded a single pasted row is an update
+            if (pasteData && /[,;\t]/.test(pasteData) && (pasteData.includes('\n') || this.isDataLoaded)) {
                 console.log('CSV data pasted');
                 this.handlePastedData(pasteData);
             }
@@ -132,21 +288,184 @@ class StockPredictorApp {
     }
 
     /**
-     * Handle pasted CSV data
+     * Render one checkbox per registered feature
      */
-    handlePastedData(csvData) {
+    renderFeatureToggles() {
+        const container = document.getElementById('featureToggles');
+        const columns = dataLoader.data && dataLoader.data.length > 0
+            ? Object.keys(dataLoader.data[0])
+            : null;
+        
+        container.innerHTML = '';
+        
+        featurePipeline.describe(columns || []).forEach(feature => {
+            // Before data is loaded every feature is offered
+            const available = !columns || feature.available;
+            const label = document.createElement('label');
+            label.className = available ? '' : 'unavailable';
+            label.title = available ? '' : 'Required columns are missing from the loaded data';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = feature.enabled;
+            checkbox.disabled = !available;
+            checkbox.addEventListener('change', () => {
+                featurePipeline.setEnabled(feature.name, checkbox.checked);
+                this.reprocessData();
+            });
+            
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(feature.label));
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Fill the ticker selects from the loaded series
+     */
+    renderSeriesControls() {
+        const symbols = dataLoader.getSymbols();
+        const targetSelect = document.getElementById('targetSymbol');
+        const exogenousSelect = document.getElementById('exogenousSymbols');
+        const scopeSelect = document.getElementById('trainingScope');
+        
+        targetSelect.innerHTML = symbols.map(symbol => `
+            <option value="${symbol}" ${symbol === dataLoader.targetSymbol ? 'selected' : ''}>${symbol}</option>
+        `).join('');
+        exogenousSelect.innerHTML = symbols
+            .filter(symbol => symbol !== dataLoader.targetSymbol)
+            .map(symbol => `
+                <option value="${symbol}" ${dataLoader.exogenousSymbols.includes(symbol) ? 'selected' : ''}>${symbol}</option>
+            `).join('');
+        scopeSelect.value = dataLoader.globalTraining ? 'global' : 'target';
+        
+        // A single series leaves nothing to choose
+        const single = symbols.length < 2;
+        targetSelect.disabled = single;
+        exogenousSelect.disabled = single;
+        scopeSelect.disabled = single;
+        if (!single) {
+            document.getElementById('seriesSettings').open = true;
+        }
+    }
+
+    /**
+     * Apply the target ticker, exogenous tickers and training scope from the Tickers panel
+     */
+    applySeriesSelection() {
+        if (!this.isDataLoaded) {
+            return;
+        }
+        
         try {
-            // Create a file from pasted data
-            const blob = new Blob([csvData], { type: 'text/csv' });
-            this.currentFile = new File([blob], 'pasted_data.csv', { type: 'text/csv' });
+            const target = document.getElementById('targetSymbol').value;
+            dataLoader.selectSeries({
+                target,
+                exogenous: Array.from(document.getElementById('exogenousSymbols').selectedOptions)
+                    .map(option => option.value)
+                    .filter(symbol => symbol !== target),
+                global: document.getElementById('trainingScope').value === 'global'
+            });
+            this.renderSeriesControls();
+            this.renderFeatureToggles();
+            this.reprocessData(true);
+        } catch (error) {
+            console.error('Error selecting tickers:', error);
+            this.showStatus('error', `Failed to select tickers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply the lookback and horizon from the Forecast Window panel
+     */
+    applyWindowSettings() {
+        const lookbackInput = document.getElementById('lookbackWindow');
+        const horizonInput = document.getElementById('forecastHorizon');
+        
+        try {
+            dataLoader.setWindow(parseInt(lookbackInput.value, 10), parseInt(horizonInput.value, 10));
+            this.renderPredictionCards(dataLoader.forecastDays);
+            this.reprocessData();
+        } catch (error) {
+            this.showStatus('error', error.message);
+            lookbackInput.value = dataLoader.sequenceLength;
+            horizonInput.value = dataLoader.forecastDays;
+        }
+    }
+
+    /**
+     * Number of days to forecast, beyond the direct horizon in recursive mode
+     * @returns {number} - Forecast days
+     */
+    getForecastLength() {
+        if (document.getElementById('recursiveMode').value !== 'on') {
+            return dataLoader.forecastDays;
+        }
+        const days = parseInt(document.getElementById('recursiveDays').value, 10);
+        return Math.max(dataLoader.forecastDays, Number.isFinite(days) ? days : dataLoader.forecastDays);
+    }
+
+    /**
+     * Read cleaning strategies from the Data Cleaning panel
+     * @returns {Object} - Configuration for dataLoader.cleanData
+     */
+    getCleaningConfig() {
+        const method = document.getElementById('outlierMethod').value;
+        const threshold = parseFloat(document.getElementById('outlierThreshold').value) || 10;
+        
+        return {
+            missing: document.getElementById('missingStrategy').value,
+            outliers: document.getElementById('outlierStrategy').value,
+            outlierMethod: method,
+            ...(method === 'iqr' ? { iqrMultiplier: threshold } : { zThreshold: threshold })
+        };
+    }
+
+    /**
+     * Rebuild datasets after the feature selection or cleaning settings changed
+     * @param {boolean} reclean - Re-run data cleaning first
+     */
+    reprocessData(reclean = false) {
+        if (!this.isDataLoaded) {
+            return;
+        }
+        
+        try {
+            if (reclean) {
+                dataLoader.cleanData(this.getCleaningConfig());
+                this.createInitialVisualization();
+            }
+            this.disposeDatasets();
+            this.datasets = dataLoader.preprocessData();
             
-            // Update file input
-            const fileInput = document.getElementById('fileInput');
-            const dataTransfer = new DataTransfer();
-            dataTransfer.items.add(this.currentFile);
-            fileInput.files = dataTransfer.files;
+            // The input shape changed, so any trained model is stale
+            this.isModelTrained = false;
+            const trainBtn = document.getElementById('trainBtn');
+            trainBtn.disabled = false;
+            trainBtn.innerHTML = '<i class="fas fa-play-circle"></i> Train Model';
+            document.getElementById('predictBtn').disabled = true;
             
-            this.onFileSelected();
+            this.showStatus('info', reclean
+                ? `Data re-cleaned: ${dataLoader.qualityReport.rowsOut} rows, ${dataLoader.qualityReport.issues.length} issue types. Retrain the model to use it.`
+                : `Preprocessing updated: ${dataLoader.sequenceLength}-day lookback, ${dataLoader.forecastDays}-day horizon, ${dataLoader.scalerType} scaling, features ${this.datasets.featureNames.join(', ')}. Retrain the model to use it.`);
+        } catch (error) {
+            console.error('Error rebuilding features:', error);
+            this.showStatus('error', `Failed to rebuild features: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle pasted CSV data
+     */
+    handlePastedData(csvData) {
+        // With data loaded, pasted rows extend it instead of replacing it
+        if (this.isDataLoaded) {
+            this.appendData(csvData, 'pasted_data.csv');
+            return;
+        }
+        
+        try {
+            this.selectCSVText(csvData, 'pasted_data.csv');
             this.showStatus('info', 'CSV data pasted successfully. Click "Load & Prepare Data" to continue.');
         } catch (error) {
             console.error('Error handling pasted data:', error);
@@ -154,6 +473,77 @@ class StockPredictorApp {
         }
     }
 
+    /**
+     * Select CSV text as if it had been uploaded as a file
+     * @param {string} csvData - CSV content
+     * @param {string} fileName - Name of the file to create
+     */
+    selectCSVText(csvData, fileName) {
+        const blob = new Blob([csvData], { type: 'text/csv' });
+        this.currentFile = new File([blob], fileName, { type: 'text/csv' });
+        this.currentFiles = [this.currentFile];
+
+        // Update file input
+        const fileInput = document.getElementById('fileInput');
+        const dataTransfer = new DataTransfer();
+        dataTransfer.items.add(this.currentFile);
+        fileInput.files = dataTransfer.files;
+
+        this.onFileSelected();
+    }
+
+    /**
+     * Fetch a CSV file from GitHub and load it
+     */
+    async loadFromGitHub() {
+        const url = document.getElementById('githubUrl').value.trim();
+        if (!url) {
+            this.showStatus('error', 'Please enter a GitHub URL');
+            return;
+        }
+
+        // A github.com blob page is served as plain text from raw.githubusercontent.com
+        const rawUrl = url.includes('github.com') && !url.includes('raw.githubusercontent.com')
+            ? url.replace('github.com', 'raw.githubusercontent.com').replace('/blob/', '/')
+            : url;
+
+        const loadGithubBtn = document.getElementById('loadGithubBtn');
+        loadGithubBtn.disabled = true;
+        try {
+            this.showStatus('info', `Fetching ${rawUrl}...`);
+            const response = await fetch(rawUrl);
+            if (!response.ok) {
+                throw new Error(`GitHub error: ${response.status} ${response.statusText}`);
+            }
+
+            const fileName = rawUrl.split('/').pop().split('?')[0] || 'github_data.csv';
+            this.selectCSVText(await response.text(), fileName);
+            await this.loadAndPrepareData();
+        } catch (error) {
+            console.error('Error loading from GitHub:', error);
+            this.showStatus('error', `Failed to load from GitHub: ${error.message}`);
+        } finally {
+            loadGithubBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Generate synthetic sample data, preview it and select it for loading
+     */
+    generateSampleData() {
+        const csvContent = dataLoader.generateSampleCSV();
+        const rows = csvContent.trim().split('\n').slice(1);
+
+        document.getElementById('sampleDataBody').innerHTML = rows.slice(-10).map(row => {
+            const [date, , , , close] = row.split(',');
+            return `<tr><td>${date}</td><td>$${close}</td></tr>`;
+        }).join('');
+        document.getElementById('samplePreview').style.display = 'block';
+
+        this.selectCSVText(csvContent, 'sp500_sample_data.csv');
+        this.showStatus('success', `✅ Generated ${rows.length} sample rows. Click "Load & Prepare Data" to continue.`);
+    }
+
     /**
      * Handle file selection
      */
@@ -163,21 +553,26 @@ class StockPredictorApp {
                        'Type:', this.currentFile.type, 
                        'Size:', this.currentFile.size, 'bytes');
             
-            const fileType = this.currentFile.name.toLowerCase();
-            if (!fileType.endsWith('.csv') && !fileType.endsWith('.txt')) {
-                this.showStatus('error', 'Please upload a CSV or text file');
+            const invalid = this.currentFiles.find(file => {
+                const fileType = file.name.toLowerCase();
+                return !fileType.endsWith('.csv') && !fileType.endsWith('.txt');
+            });
+            if (invalid) {
+                this.showStatus('error', `Please upload CSV or text files (${invalid.name} is neither)`);
                 return;
             }
             
             // Update UI to show selected file
             const dropArea = document.getElementById('dropArea');
             const originalHTML = dropArea.innerHTML;
+            const names = this.currentFiles.map(file => file.name).join(', ');
+            const totalSize = this.currentFiles.reduce((sum, file) => sum + file.size, 0);
             
             dropArea.innerHTML = `
                 <i class="fas fa-check-circle" style="color: #48bb78;"></i>
-                <h3>File Selected</h3>
-                <p><strong>${this.currentFile.name}</strong></p>
-                <p>${Math.round(this.currentFile.size / 1024)} KB</p>
+                <h3>${this.currentFiles.length > 1 ? `${this.currentFiles.length} Files Selected` : 'File Selected'}</h3>
+                <p><strong>${names}</strong></p>
+                <p>${Math.round(totalSize / 1024)} KB</p>
                 <p style="margin-top: 10px; font-size: 0.9em; color: #fda4af;">
                     <i class="fas fa-info-circle"></i> Click "Load & Prepare Data" to continue
                 </p>
@@ -190,7 +585,7 @@ class StockPredictorApp {
                 fileInput.click();
             }, { once: true });
             
-            this.showStatus('info', `File selected: ${this.currentFile.name}`);
+            this.showStatus('info', `File${this.currentFiles.length > 1 ? 's' : ''} selected: ${names}`);
             
             // Enable load data button
             const loadDataBtn = document.getElementById('loadDataBtn');
@@ -273,9 +668,27 @@ class StockPredictorApp {
         statusText.textContent = 'Reading file...';
 
         try {
-            // Step 1: Load CSV
+            // Step 1: Load CSV. A trained or loaded model keeps the preprocessing it
+            // was trained with, so re-apply it to the new rows.
+            const modelState = this.isModelTrained
+                ? (this.pendingModelState || dataLoader.getPreprocessingState())
+                : null;
             this.showStatus('info', 'Reading CSV file...');
-            await dataLoader.loadCSV(this.currentFile);
+            await dataLoader.loadCSVFiles(this.currentFiles);
+            if (modelState) {
+                dataLoader.restorePreprocessingState(modelState);
+                this.pendingModelState = null;
+            }
+            this.renderSeriesControls();
+            
+            const report = dataLoader.parseReport;
+            if (report && report.skipped.length > 0) {
+                console.warn(`Skipped ${report.skipped.length} invalid rows:`, report.skipped);
+            }
+            
+            // Validate and clean before preprocessing
+            statusText.textContent = 'Cleaning data...';
+            const qualityReport = dataLoader.cleanData(this.getCleaningConfig());
             
             progressFill.style.width = '30%';
             progressText.textContent = '30%';
@@ -283,7 +696,18 @@ class StockPredictorApp {
 
             // Step 2: Preprocess data
             this.showStatus('info', 'Preprocessing data...');
-            this.datasets = dataLoader.preprocessData();
+            this.disposeDatasets();
+            // The model's fitted scalers are kept rather than refitted on the new rows
+            this.datasets = dataLoader.preprocessData(modelState ? dataLoader.scalers : null);
+            this.renderFeatureToggles();
+            
+            // The model cannot read sequences with a different feature count
+            const modelNote = modelState && this.datasets.featureNames.length !== gruModel.inputShape[1]
+                ? ` Loaded model expects ${gruModel.inputShape[1]} features but the data has ${this.datasets.featureNames.length}: train a new model.`
+                : '';
+            if (modelNote) {
+                this.isModelTrained = false;
+            }
             
             progressFill.style.width = '60%';
             progressText.textContent = '60%';
@@ -313,11 +737,27 @@ class StockPredictorApp {
                 progressText.textContent = '100%';
                 statusText.textContent = 'Complete!';
                 
+                const skippedNote = report && report.skipped.length > 0
+                    ? ` ${report.skipped.length} invalid rows skipped (see View Data Preview).`
+                    : '';
+                const qualityNote = qualityReport.issues.length > 0
+                    ? ` ${qualityReport.issues.length} data quality issue types handled (see View Data Preview).`
+                    : '';
+                const dateNote = report && report.dateColumn
+                    ? ` Dates: ${dataLoader.data[0].Date} to ${dataLoader.data[dataLoader.data.length - 1].Date}.`
+                    : '';
+                const symbols = dataLoader.getSymbols();
+                const tickerNote = symbols.length > 1
+                    ? ` ${symbols.length} tickers loaded (${symbols.join(', ')}); forecasting ${dataLoader.targetSymbol}.`
+                    : '';
                 this.showStatus('success', 
                     `✅ Data loaded successfully! ${stats.totalDays} days of data loaded. ` +
-                    `Price range: $${stats.minPrice} - $${stats.maxPrice}`
+                    `Price range: $${stats.minPrice} - $${stats.maxPrice}.${dateNote}${tickerNote}${skippedNote}${qualityNote}${modelNote}`
                 );
                 
+                // Forecasts logged in earlier sessions may now have realized prices
+                this.renderForecastLog();
+                
                 // Update UI state
                 this.updateUI();
                 
@@ -342,10 +782,10 @@ class StockPredictorApp {
             const dropArea = document.getElementById('dropArea');
             dropArea.innerHTML = `
                 <i class="fas fa-cloud-upload-alt"></i>
-                <h3>Upload Your CSV File</h3>
-                <p>Drag & drop your S&P 500 data file or click to browse</p>
-                <p><small>Expected format: Single column of daily closing prices</small></p>
-                <input type="file" id="fileInput" class="file-input" accept=".csv,.txt">
+                <h3>Upload Your CSV Files</h3>
+                <p>Drag & drop one or more data files (one ticker per file) or click to browse</p>
+                <p><small>Expected format: Date + OHLCV columns, a single column of daily closing prices, or a long format with a Symbol column (comma, semicolon or tab separated)</small></p>
+                <input type="file" id="fileInput" class="file-input" accept=".csv,.txt" multiple>
             `;
             
             // Re-add event listeners
@@ -456,11 +896,16 @@ class StockPredictorApp {
                 </div>
                 <div style="color: white;">
                     <div style="margin-bottom: 5px;"><strong>Features:</strong> ${stats.features.join(', ') || 'Close price only'}</div>
+                    ${stats.symbols.length > 1 ? `<div style="margin-bottom: 5px;"><strong>Tickers:</strong> ${stats.targetSymbol} (target)${dataLoader.exogenousSymbols.length ? `, ${dataLoader.exogenousSymbols.join(', ')} (exogenous)` : ''}${dataLoader.globalTraining ? `, global model over ${dataLoader.getTrainingSymbols().join(', ') || 'no other tickers'}` : ''}</div>` : ''}
                     <div style="margin-bottom: 5px;"><strong>Data Source:</strong> ${stats.dataSource || 'Uploaded CSV file'}</div>
                     <div><strong>Rows Processed:</strong> ${stats.rowsLoaded || stats.totalDays}</div>
                 </div>
             </div>
             
+            ${this.renderParseReport(dataLoader.parseReport)}
+            
+            ${this.renderQualityReport(dataLoader.qualityReport)}
+            
             <div style="text-align: center;">
                 <button onclick="this.closest('[style*=\"position: fixed\"]').remove()" 
                         style="background: #f43f5e; color: white; border: none; padding: 12px 30px; 
@@ -482,7 +927,129 @@ class StockPredictorApp {
     }
 
     /**
-     * Train the GRU model
+     * Read model settings from the Model Training panel
+     * @returns {Object} - Configuration for gruModel.buildModel/train
+     */
+    getModelConfig() {
+        const parseList = (id) => document.getElementById(id).value
+            .split(',')
+            .map(v => parseFloat(v.trim()))
+            .filter(v => !isNaN(v));
+        
+        const layerCount = Math.max(1, parseInt(document.getElementById('layerCount').value, 10) || 1);
+        const unitsList = parseList('layerUnits').map(v => Math.max(1, Math.round(v)));
+        const dropoutList = parseList('dropoutRates');
+        
+        // Pad missing layer sizes by halving the previous layer
+        const units = [];
+        for (let i = 0; i < layerCount; i++) {
+            units.push(unitsList[i] ?? Math.max(8, Math.round((units[i - 1] || 128) / 2)));
+        }
+        
+        return {
+            units,
+            dropout: dropoutList.length ? dropoutList : [0],
+            architecture: document.getElementById('architecture').value,
+            denseUnits: Math.max(0, parseInt(document.getElementById('denseUnits').value, 10) || 0),
+            filters: Math.max(1, parseInt(document.getElementById('convFilters').value, 10) || 64),
+            kernelSize: Math.max(1, parseInt(document.getElementById('kernelSize').value, 10) || 3),
+            optimizer: document.getElementById('optimizer').value,
+            learningRate: parseFloat(document.getElementById('learningRate').value) || 0.001,
+            batchSize: Math.max(1, parseInt(document.getElementById('batchSize').value, 10) || 32),
+            epochs: Math.max(1, parseInt(document.getElementById('epochs').value, 10) || 100),
+            earlyStopping: document.getElementById('earlyStopping').value === 'on',
+            patience: Math.max(1, parseInt(document.getElementById('patience').value, 10) || 10),
+            restoreBestWeights: document.getElementById('restoreBestWeights').value === 'on',
+            reduceLrOnPlateau: document.getElementById('reduceLrOnPlateau').value === 'on',
+            lrFactor: Math.min(Math.max(parseFloat(document.getElementById('lrFactor').value) || 0.5, 0.01), 0.99),
+            lrPatience: Math.max(1, parseInt(document.getElementById('lrPatience').value, 10) || 5),
+            mcSamples: Math.max(2, parseInt(document.getElementById('mcSamples').value, 10) || 50)
+        };
+    }
+
+    /**
+     * HTML summary of how the CSV was parsed
+     * @param {Object} report - dataLoader.parseReport
+     * @returns {string} - HTML for the data statistics modal
+     */
+    renderParseReport(report) {
+        if (!report) {
+            return '';
+        }
+        
+        const skippedList = report.skipped.slice(0, 20).map(s => 
+            `<li>Line ${s.line}: ${s.reason}</li>`
+        ).join('');
+        const moreSkipped = report.skipped.length > 20 
+            ? `<li>…and ${report.skipped.length - 20} more</li>` 
+            : '';
+        
+        return `
+            <div style="background: rgba(159, 18, 57, 0.1); padding: 15px; border-radius: 10px; border: 1px solid #9f1239; margin-bottom: 20px;">
+                <div style="color: #fda4af; font-size: 0.9rem; margin-bottom: 10px;">
+                    <i class="fas fa-file-csv"></i> CSV Parsing
+                </div>
+                <div style="color: white;">
+                    <div style="margin-bottom: 5px;"><strong>Delimiter:</strong> ${report.delimiter}${report.decimalComma ? ' (decimal commas accepted)' : ''}</div>
+                    <div style="margin-bottom: 5px;"><strong>Date Column:</strong> ${report.dateColumn ? `${report.dateColumn} (${report.dateFormat})` : 'None detected'}</div>
+                    <div style="margin-bottom: 5px;"><strong>Price Column:</strong> ${report.targetSource}</div>
+                    <div style="margin-bottom: 5px;"><strong>Rows:</strong> ${report.validRows} valid of ${report.totalRows}${report.sorted ? ', sorted chronologically' : ''}</div>
+                    ${report.skipped.length > 0 ? `
+                    <div><strong>Skipped Rows:</strong></div>
+                    <ul style="margin: 5px 0 0 20px; color: #fda4af; font-size: 0.9rem;">${skippedList}${moreSkipped}</ul>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * HTML table of data quality issues and the action taken for each
+     * @param {Object} report - dataLoader.qualityReport
+     * @returns {string} - HTML for the data statistics modal
+     */
+    renderQualityReport(report) {
+        if (!report) {
+            return '';
+        }
+        
+        const rows = report.issues.map(issue => `
+            <tr>
+                <td style="padding: 6px; border-bottom: 1px solid #333;">${issue.type}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #333;">${issue.column}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #333;">${issue.count}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #333;">${issue.action}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #333; color: #fda4af;">${issue.examples.join(', ')}${issue.count > issue.examples.length ? ', …' : ''}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <div style="background: rgba(159, 18, 57, 0.1); padding: 15px; border-radius: 10px; border: 1px solid #9f1239; margin-bottom: 20px;">
+                <div style="color: #fda4af; font-size: 0.9rem; margin-bottom: 10px;">
+                    <i class="fas fa-broom"></i> Data Quality (${report.rowsIn} rows in, ${report.rowsOut} rows out)
+                </div>
+                ${report.issues.length === 0 ? `
+                <div style="color: #48bb78;"><i class="fas fa-check-circle"></i> No issues found</div>
+                ` : `
+                <table style="width: 100%; border-collapse: collapse; color: white; font-size: 0.85rem;">
+                    <thead>
+                        <tr style="color: #fda4af; text-align: left;">
+                            <th style="padding: 6px;">Issue</th>
+                            <th style="padding: 6px;">Column</th>
+                            <th style="padding: 6px;">Count</th>
+                            <th style="padding: 6px;">Action</th>
+                            <th style="padding: 6px;">Examples</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Train the model with the selected architecture
      */
     async trainModel() {
         if (!this.datasets) {
@@ -510,49 +1077,59 @@ class StockPredictorApp {
         statusText.textContent = 'Building model...';
 
         try {
-            // Build model
-            gruModel.buildModel();
+            // The worker builds the model sized to the engineered feature count
+            const config = this.getModelConfig();
+            // Training samples left after the validation tail
+            const { trainEnd } = dataLoader.validationBounds(
+                this.datasets.splitIndex,
+                config.validationFraction ?? DEFAULT_MODEL_CONFIG.validationFraction
+            );
+            const pooledSamples = this.datasets.X_train.shape[0] - this.datasets.splitIndex;
+            const batchesPerEpoch = Math.ceil((pooledSamples + trainEnd) / config.batchSize);
+            let currentEpoch = 0;
             
             progressFill.style.width = '15%';
             progressText.textContent = '15%';
-            statusText.textContent = 'Starting training...';
+            statusText.textContent = 'Starting training in background worker...';
 
-            // Train model
+            // Train model off the main thread
             const startTime = Date.now();
             
-            await gruModel.train(
-                this.datasets.X_train,
-                this.datasets.y_train,
-                this.datasets.X_test,
-                this.datasets.y_test,
-                {
-                    onEpochEnd: (epoch, logs) => {
-                        const progress = Math.min(15 + (epoch / 100) * 85, 100);
-                        progressFill.style.width = `${progress}%`;
-                        progressText.textContent = `${Math.round(progress)}%`;
-                        statusText.textContent = `Epoch ${epoch + 1}/100`;
-                        
-                        // Update metrics in real-time
-                        document.getElementById('trainLoss').textContent = logs.loss.toFixed(4);
-                        document.getElementById('valLoss').textContent = logs.val_loss.toFixed(4);
-                        document.getElementById('trainAcc').textContent = (1 - logs.mae).toFixed(4);
-                        document.getElementById('valAcc').textContent = (1 - logs.val_mae).toFixed(4);
-                    },
-                    onTrainEnd: () => {
-                        const trainingTime = ((Date.now() - startTime) / 1000).toFixed(1);
-                        this.showStatus('success', `✅ Training completed in ${trainingTime} seconds`);
-                        
-                        this.isModelTrained = true;
-                        predictBtn.disabled = false;
-                        trainBtn.disabled = true;
-                        trainBtn.innerHTML = '<i class="fas fa-check-circle"></i> Training Complete';
-                        stopTrainBtn.disabled = true;
-                        
-                        // Create performance chart
-                        this.createPerformanceChart();
-                    }
+            const history = await trainingClient.train(this.datasets, config, {
+                onBatchEnd: (batch) => {
+                    const progress = Math.min(15 + ((currentEpoch + (batch + 1) / batchesPerEpoch) / config.epochs) * 85, 100);
+                    progressFill.style.width = `${progress}%`;
+                    progressText.textContent = `${Math.round(progress)}%`;
+                    statusText.textContent = `Epoch ${currentEpoch + 1}/${config.epochs} · batch ${batch + 1}/${batchesPerEpoch}`;
+                },
+                onEpochEnd: (epoch, logs) => {
+                    currentEpoch = epoch + 1;
+                    
+                    // Update metrics in real-time
+                    document.getElementById('trainLoss').textContent = logs.loss.toFixed(4);
+                    document.getElementById('valLoss').textContent = logs.val_loss.toFixed(4);
+                    document.getElementById('trainMae').textContent = logs.mae.toFixed(4);
+                    document.getElementById('valMae').textContent = logs.val_mae.toFixed(4);
                 }
-            );
+            });
+            
+            const trainingTime = ((Date.now() - startTime) / 1000).toFixed(1);
+            const stopNote = history.stoppedEpoch
+                ? ` (early stop at epoch ${history.stoppedEpoch}, best epoch ${history.bestEpoch})`
+                : '';
+            this.showStatus('success', `✅ Training completed in ${trainingTime} seconds${stopNote}`);
+            
+            this.isModelTrained = true;
+            predictBtn.disabled = false;
+            trainBtn.disabled = true;
+            trainBtn.innerHTML = '<i class="fas fa-check-circle"></i> Training Complete';
+            stopTrainBtn.disabled = true;
+            document.getElementById('saveModelBtn').disabled = false;
+            document.getElementById('downloadModelBtn').disabled = false;
+            
+            // Create performance chart and score the test set
+            this.createPerformanceChart();
+            await this.runDiagnostics();
 
         } catch (error) {
             console.error('Error training model:', error);
@@ -572,8 +1149,8 @@ class StockPredictorApp {
      * Stop training
      */
     stopTraining() {
-        gruModel.stopTraining();
-        this.showStatus('info', 'Training stopped');
+        trainingClient.stop();
+        this.showStatus('info', 'Stopping training after the current batch...');
         
         const trainBtn = document.getElementById('trainBtn');
         const stopTrainBtn = document.getElementById('stopTrainBtn');
@@ -584,10 +1161,11 @@ class StockPredictorApp {
     }
 
     /**
-     * Make predictions for next 5 days
+     * Make predictions for the forecast horizon (or further in recursive mode)
      */
     async makePredictions() {
-        if (!this.isModelTrained) {
+        const useEnsemble = this.isEnsembleActive();
+        if (!this.isModelTrained && !useEnsemble) {
             this.showStatus('error', 'Model not trained. Please train the model first.');
             return;
         }
@@ -605,28 +1183,71 @@ class StockPredictorApp {
             // Get latest window
             const latestWindow = dataLoader.getLatestWindow();
             
-            // Make prediction
-            const normalizedPredictions = gruModel.forecast(latestWindow);
+            let direct;
+            let intervals = null;
+            let spread = null;
+            let forecastFn;
+            
+            if (useEnsemble) {
+                // Combine member forecasts in price space; their spread shows disagreement
+                const members = ensembleModel.predictMembers(latestWindow)
+                    .map(values => dataLoader.denormalizeTarget(values[0]));
+                const combined = ensembleModel.combineForecasts(members);
+                direct = combined.forecast;
+                spread = { std: combined.std, members: members.length };
+                forecastFn = window => ensembleModel.forecast(window);
+                latestWindow.dispose();
+            } else {
+                // Make prediction, plus Monte Carlo dropout intervals for the direct horizon
+                const normalizedPredictions = await trainingClient.forecast(latestWindow);
+                const normalizedIntervals = await trainingClient.forecastWithIntervals(latestWindow);
+                latestWindow.dispose();
+                
+                direct = dataLoader.denormalizeTarget(normalizedPredictions);
+                intervals = {};
+                ['lower80', 'upper80', 'lower95', 'upper95'].forEach(key => {
+                    intervals[key] = dataLoader.denormalizeTarget(normalizedIntervals[key]);
+                });
+                forecastFn = window => trainingClient.forecast(window);
+            }
             
-            // Denormalize predictions
-            const denormalized = dataLoader.denormalizeArray(normalizedPredictions, 'target');
+            // Recursive mode extends the forecast past the output head
+            const forecastLength = this.getForecastLength();
+            const denormalized = forecastLength > dataLoader.forecastDays
+                ? await dataLoader.recursiveForecast(forecastFn, forecastLength)
+                : direct;
             
             // Get last actual price
             const lastPrice = dataLoader.data[dataLoader.data.length - 1][dataLoader.targetColumn];
             
             // Update prediction cards
-            this.updatePredictionCards(denormalized, lastPrice);
+            this.updatePredictionCards(denormalized, lastPrice, intervals, spread);
             
             // Store predictions
             this.predictions = denormalized;
+            this.predictionIntervals = intervals;
+            
+            // Log the forecast so it can be scored once the days are appended
+            const originIndex = dataLoader.data.length - 1;
+            const rowIndex = dataLoader.getSeriesIndex(originIndex);
+            forecastTracker.record({
+                symbol: dataLoader.targetSymbol,
+                originDate: dataLoader.data[originIndex].Date || null,
+                rowIndex,
+                originValue: dataLoader.series[dataLoader.targetSymbol][rowIndex][dataLoader.targetColumn],
+                originPrice: lastPrice,
+                labels: dataLoader.getFutureLabels(denormalized.length).map(label => label.replace(' (Pred)', '')),
+                prices: denormalized,
+                source: useEnsemble ? 'Ensemble' : ARCHITECTURES[gruModel.config.architecture]
+            });
             
             // Update price chart with predictions
-            this.updatePriceChartWithPredictions(denormalized);
+            this.updatePriceChartWithPredictions(denormalized, intervals);
             
             predictBtn.disabled = false;
             predictBtn.innerHTML = '<i class="fas fa-crystal-ball"></i> Make Predictions';
             
-            this.showStatus('success', '✅ Predictions generated for next 5 days');
+            this.showStatus('success', `✅ ${useEnsemble ? `Ensemble of ${spread.members} models: p` : 'P'}redictions generated for next ${denormalized.length} days${denormalized.length > dataLoader.forecastDays ? ` (days ${dataLoader.forecastDays + 1}+ recursive)` : ''}`);
             
         } catch (error) {
             console.error('Error making predictions:', error);
@@ -638,46 +1259,1501 @@ class StockPredictorApp {
     }
 
     /**
-     * Update prediction cards in UI
+     * Append rows from CSV text (an update file or pasted rows)
+     * @param {string} csvText - CSV content
+     * @param {string} name - File name, used as the symbol of a single-ticker file
      */
-    updatePredictionCards(predictions, lastPrice) {
-        const cards = document.querySelectorAll('.prediction-card');
+    appendData(csvText, name) {
+        if (!this.isDataLoaded) {
+            this.showStatus('error', 'Load a data file before appending new rows');
+            return;
+        }
         
-        predictions.forEach((prediction, index) => {
-            if (cards[index]) {
-                const priceChange = ((prediction - lastPrice) / lastPrice * 100);
-                
-                cards[index].querySelector('.prediction-value').textContent = `$${prediction.toFixed(2)}`;
-                
-                const directionElement = cards[index].querySelector('.prediction-direction');
-                directionElement.textContent = `${priceChange >= 0 ? '+' : ''}${priceChange.toFixed(2)}%`;
-                directionElement.className = `prediction-direction ${priceChange >= 0 ? 'direction-up' : 'direction-down'}`;
-                
-                // Update day label
-                cards[index].querySelector('.prediction-day').textContent = `Day +${index + 1}`;
-            }
-        });
+        try {
+            this.onDataAppended(dataLoader.appendCSV(csvText, name));
+        } catch (error) {
+            console.error('Error appending data:', error);
+            this.showStatus('error', `Failed to append data: ${error.message}`);
+        }
     }
 
     /**
-     * Create initial visualization of data
+     * Append the date and close entered in the update panel
      */
-    createInitialVisualization() {
-        if (!dataLoader.data || dataLoader.data.length === 0) {
+    appendManualRow() {
+        const date = document.getElementById('updateDate').value;
+        const close = parseFloat(document.getElementById('updateClose').value);
+        
+        if (!Number.isFinite(close) || close <= 0) {
+            this.showStatus('error', 'Enter a positive close price');
+            return;
+        }
+        if (dataLoader.hasDates() && !date) {
+            this.showStatus('error', 'Enter the date of the new close');
             return;
         }
+        
+        try {
+            const row = { [dataLoader.targetColumn]: close, ...(date ? { Date: date } : {}) };
+            this.onDataAppended(dataLoader.appendRows({ [dataLoader.targetSymbol]: [row] }));
+            document.getElementById('updateClose').value = '';
+        } catch (error) {
+            console.error('Error appending row:', error);
+            this.showStatus('error', `Failed to append row: ${error.message}`);
+        }
+    }
 
-        const prices = dataLoader.data.map(row => row[dataLoader.targetColumn]);
-        const labels = dataLoader.data.map((row, i) => `Day ${i + 1}`);
+    /**
+     * Rebuild sequences after rows were appended and score earlier forecasts
+     * @param {Object} added - Symbol -> rows added, from dataLoader.appendRows()
+     */
+    onDataAppended(added) {
+        const total = Object.values(added).reduce((sum, count) => sum + count, 0);
+        const repeatNote = dataLoader.appendWarnings.length > 0
+            ? ` ${dataLoader.appendWarnings.join('; ')}.`
+            : '';
+        if (total === 0) {
+            this.showStatus('info', dataLoader.hasDates()
+                ? 'No new rows: every row is on or before the last loaded date'
+                : `No new rows.${repeatNote}`);
+            return;
+        }
+        
+        // Keep the fitted scalers so the trained model reads the new windows the way it was trained
+        this.disposeDatasets();
+        this.datasets = dataLoader.preprocessData(this.isModelTrained ? dataLoader.scalers : null);
+        this.createInitialVisualization();
+        
+        const summary = this.renderForecastLog();
+        const lastRow = dataLoader.data.length;
+        const scoreNote = summary
+            ? ` ${summary.count} forecast days scored so far: MAE $${summary.mae.toFixed(2)}, MAPE ${summary.mape.toFixed(2)}%.`
+            : '';
+        const tuneNote = this.isModelTrained ? ' Fine-tune the model to learn from them.' : '';
+        
+        this.showStatus('success',
+            `✅ Appended ${total} new row${total === 1 ? '' : 's'} (latest ${dataLoader.getDateLabel(lastRow - 1)}).${repeatNote}${scoreNote}${tuneNote}`
+        );
+        this.updateUI();
+    }
 
-        // Destroy existing chart if any
-        if (this.priceChart) {
-            this.priceChart.destroy();
+    /**
+     * Fill the forecast log table with logged forecasts whose days are now known
+     * @returns {Object|null} - Error summary from forecastTracker.summarize()
+     */
+    renderForecastLog() {
+        const table = document.getElementById('forecastLogTable');
+        if (!dataLoader.data || dataLoader.data.length === 0) {
+            table.style.display = 'none';
+            return null;
         }
+        
+        const scored = forecastTracker.score(dataLoader.series[dataLoader.targetSymbol], dataLoader.targetColumn, dataLoader.targetSymbol);
+        if (scored.length === 0) {
+            table.style.display = 'none';
+            return null;
+        }
+        
+        // Newest forecasts first
+        document.getElementById('forecastLogBody').innerHTML = [...scored].reverse().slice(0, 50).map(point => `
+            <tr>
+                <td>${point.origin}</td>
+                <td>+${point.day}</td>
+                <td>${point.label}</td>
+                <td>${point.source}</td>
+                <td>$${point.predicted.toFixed(2)}</td>
+                <td>$${point.actual.toFixed(2)}</td>
+                <td>${point.error >= 0 ? '+' : ''}${point.error.toFixed(2)} (${point.pctError.toFixed(2)}%)</td>
+            </tr>
+        `).join('');
+        table.style.display = 'table';
+        
+        return forecastTracker.summarize(scored);
+    }
 
-        const ctx = document.getElementById('priceChart').getContext('2d');
-        this.priceChart = new Chart(ctx, {
-            type: 'line',
+    /**
+     * Fine-tune the trained model on the most recent windows
+     */
+    async fineTuneModel() {
+        if (!this.isModelTrained || !this.datasets) {
+            this.showStatus('error', 'Train or load a model before fine-tuning');
+            return;
+        }
+        
+        const epochs = Math.max(1, parseInt(document.getElementById('fineTuneEpochs').value, 10) || 5);
+        const windows = Math.max(10, parseInt(document.getElementById('fineTuneWindows').value, 10) || 60);
+        const learningRate = parseFloat(document.getElementById('fineTuneLearningRate').value) || gruModel.config.learningRate;
+        const refit = document.getElementById('refitScaler').value === 'refit';
+        
+        const fineTuneBtn = document.getElementById('fineTuneBtn');
+        const progressContainer = document.getElementById('fineTuneProgressContainer');
+        const progressFill = document.getElementById('fineTuneProgressFill');
+        const progressText = document.getElementById('fineTuneProgressText');
+        const statusText = document.getElementById('fineTuneStatusText');
+        
+        fineTuneBtn.disabled = true;
+        fineTuneBtn.innerHTML = '<div class="loading"></div> Fine-Tuning...';
+        progressContainer.style.display = 'block';
+        progressFill.style.width = '0%';
+        progressText.textContent = '0%';
+        statusText.textContent = 'Preparing recent windows...';
+        
+        try {
+            if (refit) {
+                this.disposeDatasets();
+                this.datasets = dataLoader.preprocessData();
+            }
+            
+            const data = dataLoader.getRecentSequences(windows);
+            const before = await trainingClient.evaluate(data.X_val, data.y_val);
+            const history = await trainingClient.fineTune(data, { epochs, learningRate }, {
+                onEpochEnd: (epoch) => {
+                    const progress = ((epoch + 1) / epochs) * 100;
+                    progressFill.style.width = `${progress}%`;
+                    progressText.textContent = `${Math.round(progress)}%`;
+                    statusText.textContent = `Epoch ${epoch + 1}/${epochs}`;
+                }
+            });
+            const after = await trainingClient.evaluate(data.X_val, data.y_val);
+            
+            this.diagnostics = null;
+            this.modelScores = {};
+            statusText.textContent = 'Complete!';
+            this.showStatus('success',
+                `✅ Fine-tuned on ${data.X_train.length} recent windows for ${history.epochs.length} epochs: ` +
+                `validation loss ${before.loss.toFixed(5)} → ${after.loss.toFixed(5)}. ` +
+                `${refit ? 'Scaler refitted' : 'Saved scaler kept'}. Test-set scores now include windows the model has seen; save the model to keep the update.`
+            );
+        } catch (error) {
+            console.error('Error fine-tuning model:', error);
+            this.showStatus('error', `Fine-tuning failed: ${error.message}`);
+            progressContainer.style.display = 'none';
+        } finally {
+            fineTuneBtn.innerHTML = '<i class="fas fa-sliders-h"></i> Fine-Tune Model';
+            this.updateUI();
+        }
+    }
+
+    /**
+     * Score baselines (and every architecture trained on this data) on the test set
+     */
+    async compareBaselines() {
+        if (!this.datasets) {
+            this.showStatus('error', 'No data loaded. Please load data first.');
+            return;
+        }
+
+        try {
+            // Test sample i is sample splitIndex + i of the full sequence set
+            const denormalize = (values, i) => dataLoader.denormalizeTarget(values, this.datasets.splitIndex + i);
+            const targetIndex = this.datasets.featureNames.indexOf(dataLoader.targetColumn);
+            const leaderboard = baselineSuite.evaluate(this.datasets, targetIndex, denormalize)
+                .map(({ name, summary }) => ({ name, ...summary }));
+
+            if (this.isModelTrained) {
+                const { predicted, actual } = await this.predictTestSet();
+                this.recordModelScore(horizonMetrics(predicted, actual));
+            }
+            Object.entries(this.modelScores).forEach(([name, summary]) => {
+                leaderboard.push({ name, ...summary, isModel: true });
+            });
+
+            leaderboard.sort((a, b) => a.rmse - b.rmse);
+            this.renderLeaderboard(leaderboard);
+            this.overlayBaselineForecasts();
+
+            this.showStatus('success', `✅ Compared ${leaderboard.length} models on ${this.datasets.X_test.shape[0]} test windows`);
+        } catch (error) {
+            console.error('Error comparing baselines:', error);
+            this.showStatus('error', `Baseline comparison failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Model forecasts for every test window, in price space
+     * @returns {Promise<Object>} - { splitIndex, predicted, actual, reference } where
+     *                              reference[i] is the last observed price of test window i
+     */
+    async predictTestSet() {
+        // Test sample i is sample splitIndex + i of the full sequence set
+        const { splitIndex } = this.datasets;
+        const output = await trainingClient.predict(this.datasets.X_test);
+
+        return {
+            splitIndex,
+            predicted: output.map((values, i) => dataLoader.denormalizeTarget(values, splitIndex + i)),
+            actual: this.datasets.y_test.arraySync().map((values, i) => dataLoader.denormalizeTarget(values, splitIndex + i)),
+            reference: output.map((_, i) => dataLoader.allSequences.anchors[splitIndex + i])
+        };
+    }
+
+    /**
+     * Predict the test set and compute actual-vs-predicted diagnostics
+     */
+    async runDiagnostics() {
+        if (!this.isModelTrained || !this.datasets) {
+            this.showStatus('error', 'Train or load a model first.');
+            return;
+        }
+
+        const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+        diagnosticsBtn.disabled = true;
+        diagnosticsBtn.innerHTML = '<div class="loading"></div> Scoring test set...';
+
+        try {
+            const { splitIndex, predicted, actual, reference } = await this.predictTestSet();
+
+            this.diagnostics = {
+                splitIndex,
+                predicted,
+                actual,
+                metrics: horizonMetrics(predicted, actual),
+                direction: directionalAccuracy(predicted, actual, reference)
+            };
+
+            const daySelect = document.getElementById('diagnosticsDay');
+            const selectedDay = Math.min(parseInt(daySelect.value) || 1, dataLoader.forecastDays);
+            daySelect.innerHTML = Array.from({ length: dataLoader.forecastDays }, (_, h) =>
+                `<option value="${h + 1}">Day +${h + 1}</option>`
+            ).join('');
+            daySelect.value = selectedDay;
+
+            this.recordModelScore(this.diagnostics.metrics);
+            this.renderDiagnosticsTable();
+            this.renderDiagnostics(selectedDay);
+        } catch (error) {
+            console.error('Error running diagnostics:', error);
+            this.showStatus('error', `Diagnostics failed: ${error.message}`);
+        } finally {
+            diagnosticsBtn.disabled = false;
+            diagnosticsBtn.innerHTML = '<i class="fas fa-stethoscope"></i> Run Diagnostics';
+        }
+    }
+
+    /**
+     * Fill the per-day metrics table
+     */
+    renderDiagnosticsTable() {
+        const { metrics, direction } = this.diagnostics;
+
+        document.getElementById('diagnosticsBody').innerHTML = metrics.map((m, h) => `
+            <tr>
+                <td>+${m.day}</td>
+                <td>$${m.mae.toFixed(2)}</td>
+                <td>$${m.rmse.toFixed(2)}</td>
+                <td>${m.mape.toFixed(2)}%</td>
+                <td>${direction[h].hitRate.toFixed(1)}%</td>
+                <td>${m.count}</td>
+            </tr>
+        `).join('');
+        document.getElementById('diagnosticsTable').style.display = 'table';
+    }
+
+    /**
+     * Draw the diagnostic charts for one horizon day
+     * @param {number} day - Horizon day (1-based)
+     */
+    renderDiagnostics(day) {
+        if (!this.diagnostics) {
+            return;
+        }
+
+        const { splitIndex, predicted, actual } = this.diagnostics;
+        const labels = predicted.map((_, i) => dataLoader.getTargetLabel(splitIndex + i, day));
+        const errors = residuals(predicted, actual, day);
+        const bins = histogram(errors, 30);
+        const acf = autocorrelation(errors, 20);
+
+        const scales = {
+            x: {
+                ticks: { color: '#fda4af', maxTicksLimit: 12 },
+                grid: { color: 'rgba(253, 164, 175, 0.1)' }
+            },
+            y: {
+                ticks: { color: '#fda4af' },
+                grid: { color: 'rgba(253, 164, 175, 0.1)' }
+            }
+        };
+        const options = (showLegend = true) => ({
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: showLegend, labels: { color: '#fda4af' } },
+                tooltip: { mode: 'index', intersect: false }
+            },
+            scales
+        });
+
+        const draw = (key, canvasId, config) => {
+            if (this.diagnosticCharts[key]) {
+                this.diagnosticCharts[key].destroy();
+            }
+            const ctx = document.getElementById(canvasId).getContext('2d');
+            this.diagnosticCharts[key] = new Chart(ctx, config);
+        };
+
+        draw('actualVsPredicted', 'actualVsPredictedChart', {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Actual',
+                        data: actual.map(values => values[day - 1]),
+                        borderColor: '#f43f5e',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.1
+                    },
+                    {
+                        label: `Predicted (Day +${day})`,
+                        data: predicted.map(values => values[day - 1]),
+                        borderColor: '#48bb78',
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.1
+                    }
+                ]
+            },
+            options: options()
+        });
+
+        draw('residuals', 'residualChart', {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'Residual (actual - predicted)',
+                    data: errors,
+                    borderColor: '#4299e1',
+                    backgroundColor: 'rgba(66, 153, 225, 0.1)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: true,
+                    tension: 0
+                }]
+            },
+            options: options()
+        });
+
+        draw('histogram', 'residualHistogramChart', {
+            type: 'bar',
+            data: {
+                labels: bins.map(bin => ((bin.from + bin.to) / 2).toFixed(1)),
+                datasets: [{
+                    label: 'Windows',
+                    data: bins.map(bin => bin.count),
+                    backgroundColor: 'rgba(244, 63, 94, 0.6)',
+                    borderColor: '#f43f5e',
+                    borderWidth: 1
+                }]
+            },
+            options: options(false)
+        });
+
+        // Bars outside the dashed band suggest structure the model has not captured
+        const bound = acf.length > 0 ? acf[0].bound : 0;
+        draw('acf', 'residualAcfChart', {
+            type: 'bar',
+            data: {
+                labels: acf.map(point => point.lag),
+                datasets: [
+                    {
+                        type: 'bar',
+                        label: 'Autocorrelation',
+                        data: acf.map(point => point.value),
+                        backgroundColor: acf.map(point => Math.abs(point.value) > point.bound
+                            ? 'rgba(244, 63, 94, 0.8)'
+                            : 'rgba(253, 164, 175, 0.4)')
+                    },
+                    {
+                        type: 'line',
+                        label: '95% Bound',
+                        data: acf.map(() => bound),
+                        borderColor: '#4299e1',
+                        borderDash: [5, 5],
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        fill: false
+                    },
+                    {
+                        type: 'line',
+                        label: '-95% Bound',
+                        data: acf.map(() => -bound),
+                        borderColor: '#4299e1',
+                        borderDash: [5, 5],
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        fill: false
+                    }
+                ]
+            },
+            options: {
+                ...options(),
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#fda4af',
+                            // One legend entry covers both bounds
+                            filter: item => item.text !== '-95% Bound'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Gather everything the report needs from the app, data loader and model
+     * @returns {Promise<Object>} - State for reportExporter.buildReport()
+     */
+    async collectReportState() {
+        const lastPrice = dataLoader.data[dataLoader.data.length - 1][dataLoader.targetColumn];
+        const labels = dataLoader.getFutureLabels(this.predictions.length);
+        
+        let testSet = null;
+        if (this.isModelTrained && this.datasets) {
+            const { splitIndex, predicted, actual } = await this.predictTestSet();
+            testSet = {
+                labels: predicted.map((_, i) => dataLoader.getTargetLabel(splitIndex + i, 1)),
+                predicted,
+                actual
+            };
+        }
+        
+        return {
+            forecast: this.predictions.map((price, i) => ({ label: labels[i].replace(' (Pred)', ''), price })),
+            intervals: this.predictionIntervals,
+            lastPrice,
+            testSet,
+            trainingHistory: this.isModelTrained ? gruModel.trainingHistory : null,
+            stats: dataLoader.getStats(),
+            model: this.isModelTrained ? {
+                config: gruModel.config,
+                inputShape: gruModel.inputShape,
+                outputShape: gruModel.outputShape
+            } : null,
+            preprocessing: {
+                targetColumn: dataLoader.targetColumn,
+                sequenceLength: dataLoader.sequenceLength,
+                forecastDays: dataLoader.forecastDays,
+                scalerType: dataLoader.scalerType,
+                featureNames: dataLoader.featureNames
+            }
+        };
+    }
+
+    /**
+     * Export forecasts, test results, training history and data stats
+     * @param {string} format - 'csv', 'json' or 'html'
+     */
+    async exportReport(format) {
+        if (!this.isDataLoaded) {
+            this.showStatus('error', 'No data loaded. Please load data first.');
+            return;
+        }
+        
+        try {
+            const report = reportExporter.buildReport(await this.collectReportState());
+            
+            if (format === 'csv') {
+                const files = reportExporter.exportCSV(report);
+                this.showStatus('success', `✅ Exported ${files.join(', ')}`);
+            } else if (format === 'json') {
+                reportExporter.exportJSON(report);
+                this.showStatus('success', '✅ Exported JSON report');
+            } else {
+                const charts = [
+                    { title: 'Price & Forecast', chart: this.priceChart },
+                    { title: 'Model Performance', chart: this.performanceChart },
+                    { title: 'Walk-Forward Backtest', chart: this.backtestChart }
+                ]
+                    .filter(({ chart }) => chart)
+                    .map(({ title, chart }) => ({ title, image: chart.toBase64Image() }));
+                reportExporter.exportHTML(report, charts);
+                this.showStatus('success', '✅ Report opened in a new window');
+            }
+        } catch (error) {
+            console.error('Error exporting report:', error);
+            this.showStatus('error', `Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remember a model's test-set score so architectures and ensembles can be compared
+     * @param {Array} metrics - Output of horizonMetrics()
+     * @param {string} name - Leaderboard name (defaults to the current model's architecture)
+     */
+    recordModelScore(metrics, name = ARCHITECTURES[gruModel.config.architecture] || gruModel.config.architecture) {
+        this.modelScores[name] = summarizeMetrics(metrics);
+    }
+
+    /**
+     * Fill the leaderboard table
+     * @param {Array} leaderboard - { name, mae, rmse, mape, isModel } sorted best first
+     */
+    renderLeaderboard(leaderboard) {
+        const table = document.getElementById('leaderboardTable');
+        const body = document.getElementById('leaderboardBody');
+
+        body.innerHTML = leaderboard.map((row, i) => `
+            <tr${row.isModel ? ' style="color: #48bb78; font-weight: bold;"' : ''}>
+                <td>${i + 1}</td>
+                <td>${row.name}</td>
+                <td>$${row.mae.toFixed(2)}</td>
+                <td>$${row.rmse.toFixed(2)}</td>
+                <td>${row.mape.toFixed(2)}%</td>
+            </tr>
+        `).join('');
+
+        table.style.display = 'table';
+    }
+
+    /**
+     * Draw each baseline's forecast from the latest window on the price chart
+     */
+    overlayBaselineForecasts() {
+        if (!this.priceChart) {
+            return;
+        }
+
+        const colors = ['#a0aec0', '#ecc94b', '#9f7aea', '#38b2ac', '#ed8936'];
+        const latestWindow = dataLoader.getLatestWindow();
+        const window = latestWindow.arraySync();
+        latestWindow.dispose();
+
+        baselineSuite.models.forEach((model, i) => {
+            const forecast = dataLoader.denormalizeTarget(model.forecast(window));
+            this.setForecastDataset(`${model.name} Forecast`, forecast, {
+                borderColor: colors[i % colors.length],
+                borderWidth: 1.5,
+                pointRadius: 3,
+                pointBackgroundColor: colors[i % colors.length]
+            });
+        });
+
+        this.priceChart.update();
+    }
+
+    /**
+     * Run a walk-forward backtest with the current model settings
+     */
+    async runBacktest() {
+        if (!this.isDataLoaded || !dataLoader.allSequences) {
+            this.showStatus('error', 'No data loaded. Please load data first.');
+            return;
+        }
+
+        const backtestBtn = document.getElementById('backtestBtn');
+        const stopBacktestBtn = document.getElementById('stopBacktestBtn');
+        const progressContainer = document.getElementById('backtestProgressContainer');
+        const progressFill = document.getElementById('backtestProgressFill');
+        const progressText = document.getElementById('backtestProgressText');
+        const statusText = document.getElementById('backtestStatusText');
+
+        backtestBtn.disabled = true;
+        backtestBtn.innerHTML = '<div class="loading"></div> Backtesting...';
+        stopBacktestBtn.disabled = false;
+        progressContainer.style.display = 'block';
+        progressFill.style.width = '0%';
+        progressText.textContent = '0%';
+        statusText.textContent = 'Training first fold...';
+
+        try {
+            const startTime = Date.now();
+            const results = await backtester.run({
+                mode: document.getElementById('backtestMode').value,
+                windowSize: parseInt(document.getElementById('backtestWindowSize').value, 10) || 1000,
+                stepSize: Math.max(1, parseInt(document.getElementById('backtestStepSize').value, 10) || 50),
+                refit: document.getElementById('backtestRefit').value,
+                epochs: Math.max(1, parseInt(document.getElementById('backtestEpochs').value, 10) || 20),
+                fineTuneEpochs: Math.max(1, parseInt(document.getElementById('backtestFineTuneEpochs').value, 10) || 5),
+                modelConfig: this.getModelConfig(),
+                onEpochEnd: (fold, epoch) => {
+                    statusText.textContent = `Fold ${fold + 1} · epoch ${epoch + 1}`;
+                },
+                onFoldEnd: (fold, foldCount) => {
+                    const progress = ((fold + 1) / foldCount) * 100;
+                    progressFill.style.width = `${progress}%`;
+                    progressText.textContent = `${Math.round(progress)}%`;
+                    statusText.textContent = `Fold ${fold + 1}/${foldCount}`;
+                }
+            });
+
+            if (results.steps.length === 0) {
+                this.showStatus('info', 'Backtest stopped before any fold finished');
+                return;
+            }
+
+            this.renderBacktestTable(results.metrics);
+            this.createBacktestChart(results.steps);
+
+            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+            const stopNote = results.stopped ? ' (stopped early; the interrupted fold is left out)' : '';
+            this.showStatus('success', 
+                `✅ Backtest finished: ${results.steps.length} out-of-sample forecasts over ${results.folds.length} folds in ${elapsed} seconds${stopNote}`
+            );
+        } catch (error) {
+            console.error('Error running backtest:', error);
+            this.showStatus('error', `Backtest failed: ${error.message}`);
+            progressContainer.style.display = 'none';
+        } finally {
+            backtestBtn.disabled = false;
+            backtestBtn.innerHTML = '<i class="fas fa-history"></i> Run Backtest';
+            stopBacktestBtn.disabled = true;
+            document.getElementById('strategyBtn').disabled = false;
+        }
+    }
+
+    /**
+     * Fill the backtest metrics table
+     * @param {Array} metrics - Per-horizon metrics from backtester
+     */
+    renderBacktestTable(metrics) {
+        const table = document.getElementById('backtestTable');
+        const body = document.getElementById('backtestTableBody');
+
+        body.innerHTML = metrics.map(m => `
+            <tr>
+                <td>Day +${m.day}</td>
+                <td>$${m.mae.toFixed(2)}</td>
+                <td>$${m.rmse.toFixed(2)}</td>
+                <td>${m.mape.toFixed(2)}%</td>
+                <td>${m.count}</td>
+            </tr>
+        `).join('');
+
+        table.style.display = 'table';
+    }
+
+    /**
+     * Plot realized prices against +1 day and last-horizon out-of-sample forecasts
+     * @param {Array} steps - Backtest steps
+     */
+    createBacktestChart(steps) {
+        if (steps.length === 0) {
+            return;
+        }
+
+        const horizon = steps[0].predicted.length;
+        const firstIndex = steps[0].index;
+        const length = steps[steps.length - 1].index - firstIndex + horizon;
+        const labels = new Array(length).fill('');
+        const actual = new Array(length).fill(null);
+        const firstDay = new Array(length).fill(null);
+        const lastDay = new Array(length).fill(null);
+
+        steps.forEach(step => {
+            for (let h = 0; h < horizon; h++) {
+                const position = step.index - firstIndex + h;
+                labels[position] = dataLoader.getTargetLabel(step.index, h + 1);
+                actual[position] = step.actual[h];
+            }
+            firstDay[step.index - firstIndex] = step.predicted[0];
+            lastDay[step.index - firstIndex + horizon - 1] = step.predicted[horizon - 1];
+        });
+
+        if (this.backtestChart) {
+            this.backtestChart.destroy();
+        }
+
+        const ctx = document.getElementById('backtestChart').getContext('2d');
+        this.backtestChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Actual',
+                        data: actual,
+                        borderColor: '#f43f5e',
+                        backgroundColor: 'rgba(244, 63, 94, 0.1)',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.1
+                    },
+                    {
+                        label: 'Forecast (Day +1)',
+                        data: firstDay,
+                        borderColor: '#48bb78',
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.1
+                    },
+                    {
+                        label: `Forecast (Day +${horizon})`,
+                        data: lastDay,
+                        borderColor: '#4299e1',
+                        borderWidth: 1.5,
+                        borderDash: [5, 5],
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#fda4af',
+                            // Interval bounds are drawn as bands, not legend entries
+                            filter: item => !item.text.endsWith('Bound')
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: $${context.raw.toFixed(2)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: {
+                            color: '#fda4af',
+                            maxTicksLimit: 10
+                        },
+                        grid: {
+                            color: 'rgba(253, 164, 175, 0.1)'
+                        }
+                    },
+                    y: {
+                        ticks: {
+                            color: '#fda4af',
+                            callback: function(value) {
+                                return '$' + value.toFixed(0);
+                            }
+                        },
+                        grid: {
+                            color: 'rgba(253, 164, 175, 0.1)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Whether predictions should come from the ensemble
+     * @returns {boolean} - True if an ensemble is trained and selected
+     */
+    isEnsembleActive() {
+        return ensembleModel.isTrained() && document.getElementById('ensembleMode').value === 'on';
+    }
+
+    /**
+     * Train an ensemble of models on the current datasets
+     */
+    async trainEnsemble() {
+        if (!this.datasets) {
+            this.showStatus('error', 'No data loaded. Please load data first.');
+            return;
+        }
+
+        const architectures = Array.from(document.getElementById('ensembleArchitectures').selectedOptions)
+            .map(option => option.value);
+        const size = Math.max(2, parseInt(document.getElementById('ensembleSize').value, 10) || 5);
+
+        const trainEnsembleBtn = document.getElementById('trainEnsembleBtn');
+        const stopEnsembleBtn = document.getElementById('stopEnsembleBtn');
+        const progressContainer = document.getElementById('ensembleProgressContainer');
+        const progressFill = document.getElementById('ensembleProgressFill');
+        const progressText = document.getElementById('ensembleProgressText');
+        const statusText = document.getElementById('ensembleStatusText');
+
+        trainEnsembleBtn.disabled = true;
+        trainEnsembleBtn.innerHTML = '<div class="loading"></div> Training Ensemble...';
+        stopEnsembleBtn.disabled = false;
+        progressContainer.style.display = 'block';
+        progressFill.style.width = '0%';
+        progressText.textContent = '0%';
+        statusText.textContent = `Training member 1/${size}...`;
+
+        try {
+            const startTime = Date.now();
+            const modelConfig = this.getModelConfig();
+            const members = await ensembleModel.train(this.datasets, {
+                size,
+                architectures,
+                combine: document.getElementById('ensembleCombine').value,
+                modelConfig,
+                onEpochEnd: (index, epoch) => {
+                    const progress = ((index + (epoch + 1) / modelConfig.epochs) / size) * 100;
+                    progressFill.style.width = `${progress}%`;
+                    progressText.textContent = `${Math.round(progress)}%`;
+                    statusText.textContent = `Member ${index + 1}/${size} · epoch ${epoch + 1}/${modelConfig.epochs}`;
+                },
+                onMemberEnd: (index, total, member) => {
+                    const progress = ((index + 1) / total) * 100;
+                    progressFill.style.width = `${progress}%`;
+                    progressText.textContent = `${Math.round(progress)}%`;
+                    statusText.textContent = `Member ${index + 1}/${total} (${ARCHITECTURES[member.architecture]}) done`;
+                }
+            });
+
+            if (members.length === 0) {
+                this.showStatus('info', 'Ensemble training stopped before any member finished');
+                return;
+            }
+
+            this.renderEnsembleTable(members);
+            document.getElementById('ensembleMode').value = 'on';
+
+            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+            const score = this.scoreEnsemble();
+            this.showStatus('success',
+                `✅ Ensemble of ${members.length} models trained in ${elapsed} seconds (test RMSE $${score.rmse.toFixed(2)}). Predictions now use the ensemble.`
+            );
+        } catch (error) {
+            console.error('Error training ensemble:', error);
+            this.showStatus('error', `Ensemble training failed: ${error.message}`);
+            progressContainer.style.display = 'none';
+        } finally {
+            trainEnsembleBtn.innerHTML = '<i class="fas fa-layer-group"></i> Train Ensemble';
+            stopEnsembleBtn.disabled = true;
+            this.updateUI();
+        }
+    }
+
+    /**
+     * Score the combined ensemble on the test set and add it to the leaderboard
+     * @returns {Object|null} - { mae, rmse, mape }, or null without an ensemble
+     */
+    scoreEnsemble() {
+        if (!ensembleModel.isTrained() || !this.datasets) {
+            return null;
+        }
+
+        const { splitIndex } = this.datasets;
+        const members = ensembleModel.predictMembers(this.datasets.X_test).map(samples =>
+            samples.map((values, i) => dataLoader.denormalizeTarget(values, splitIndex + i))
+        );
+        const predicted = members[0].map((_, i) =>
+            ensembleModel.combineForecasts(members.map(member => member[i])).forecast
+        );
+        const actual = this.datasets.y_test.arraySync().map((values, i) => dataLoader.denormalizeTarget(values, splitIndex + i));
+
+        const metrics = horizonMetrics(predicted, actual);
+        this.recordModelScore(metrics, `Ensemble (${COMBINATION_METHODS[ensembleModel.combine]})`);
+        return summarizeMetrics(metrics);
+    }
+
+    /**
+     * Fill the ensemble member table
+     * @param {Array} members - Output of ensembleModel.summary()
+     */
+    renderEnsembleTable(members) {
+        document.getElementById('ensembleTableBody').innerHTML = members.map((member, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td>${member.label}</td>
+                <td>${member.seed}</td>
+                <td>${member.valMse.toFixed(5)}</td>
+                <td>${(member.weight * 100).toFixed(1)}%</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('ensembleTable').style.display = 'table';
+    }
+
+    /**
+     * Search space from the Hyperparameter Search panel
+     * @returns {Object} - Hyperparameter name -> candidate values (empty fields are left out)
+     */
+    getSearchSpace() {
+        const parseList = (id) => document.getElementById(id).value
+            .split(',')
+            .map(v => parseFloat(v.trim()))
+            .filter(v => Number.isFinite(v));
+        
+        const space = {
+            units: document.getElementById('searchUnits').value
+                .split(';')
+                .map(option => option.split(',').map(v => Math.round(parseFloat(v.trim()))).filter(v => v > 0))
+                .filter(option => option.length > 0),
+            dropout: parseList('searchDropout').filter(v => v >= 0 && v < 1),
+            learningRate: parseList('searchLearningRate').filter(v => v > 0),
+            sequenceLength: parseList('searchLookback').map(Math.round).filter(v => v >= 2),
+            batchSize: parseList('searchBatchSize').map(Math.round).filter(v => v >= 1)
+        };
+        
+        return Object.fromEntries(Object.entries(space).filter(([, values]) => values.length > 0));
+    }
+
+    /**
+     * Run a hyperparameter search with the current model settings as the base
+     */
+    async runSearch() {
+        if (!this.isDataLoaded || !dataLoader.sequenceSource) {
+            this.showStatus('error', 'No data loaded. Please load data first.');
+            return;
+        }
+
+        const searchBtn = document.getElementById('searchBtn');
+        const stopSearchBtn = document.getElementById('stopSearchBtn');
+        const progressContainer = document.getElementById('searchProgressContainer');
+        const progressFill = document.getElementById('searchProgressFill');
+        const progressText = document.getElementById('searchProgressText');
+        const statusText = document.getElementById('searchStatusText');
+
+        searchBtn.disabled = true;
+        searchBtn.innerHTML = '<div class="loading"></div> Searching...';
+        stopSearchBtn.disabled = false;
+        document.getElementById('retrainBestBtn').disabled = true;
+        progressContainer.style.display = 'block';
+        progressFill.style.width = '0%';
+        progressText.textContent = '0%';
+        statusText.textContent = 'Training first trial...';
+
+        try {
+            const startTime = Date.now();
+            const results = await hyperparameterSearch.run({
+                strategy: document.getElementById('searchStrategy').value,
+                trials: Math.max(1, parseInt(document.getElementById('searchTrials').value, 10) || 10),
+                epochs: Math.max(1, parseInt(document.getElementById('searchEpochs').value, 10) || 10),
+                halvingFactor: Math.max(2, parseInt(document.getElementById('searchHalvingFactor').value, 10) || 3),
+                space: this.getSearchSpace(),
+                modelConfig: this.getModelConfig(),
+                onEpochEnd: (trialIndex, epoch) => {
+                    statusText.textContent = `Trial ${trialIndex + 1} · epoch ${epoch + 1}`;
+                },
+                onTrialEnd: (trial, done, planned) => {
+                    const progress = (done / planned) * 100;
+                    progressFill.style.width = `${progress}%`;
+                    progressText.textContent = `${Math.round(progress)}%`;
+                    statusText.textContent = `Trial ${done}/${planned}: val RMSE $${trial.valRmse.toFixed(2)}`;
+                }
+            });
+
+            this.searchSort = { key: null, ascending: true };
+            this.renderSearchTable(results.trials);
+
+            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+            this.showStatus('success', results.best
+                ? `✅ Search finished: ${results.trials.length} trials in ${elapsed} seconds, best val RMSE $${results.best.valRmse.toFixed(2)} (trial ${results.best.id})`
+                : 'Search stopped before any trial finished');
+        } catch (error) {
+            console.error('Error running search:', error);
+            this.showStatus('error', `Search failed: ${error.message}`);
+            progressContainer.style.display = 'none';
+        } finally {
+            searchBtn.disabled = false;
+            searchBtn.innerHTML = '<i class="fas fa-search"></i> Run Search';
+            stopSearchBtn.disabled = true;
+            document.getElementById('retrainBestBtn').disabled = !hyperparameterSearch.results?.best;
+        }
+    }
+
+    /**
+     * Fill the search results table, best trial highlighted
+     * @param {Array} trials - Trial results in display order
+     */
+    renderSearchTable(trials) {
+        const best = hyperparameterSearch.results?.best;
+        const show = value => (value === undefined ? '<em>current</em>' : value);
+
+        document.getElementById('searchTableBody').innerHTML = trials.map(trial => `
+            <tr${trial === best ? ' style="color: #48bb78; font-weight: bold;"' : ''}>
+                <td>${trial.id}</td>
+                <td>${trial.rung}</td>
+                <td>${show(trial.params.units?.join('-'))}</td>
+                <td>${show(trial.params.dropout)}</td>
+                <td>${show(trial.params.learningRate)}</td>
+                <td>${show(trial.params.sequenceLength)}</td>
+                <td>${show(trial.params.batchSize)}</td>
+                <td>${trial.epochs}</td>
+                <td>${trial.valLoss.toFixed(5)}</td>
+                <td>$${trial.valMae.toFixed(2)}</td>
+                <td>$${trial.valRmse.toFixed(2)}</td>
+                <td>${trial.valMape.toFixed(2)}%</td>
+                <td>${trial.seconds.toFixed(1)}s</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('searchTable').style.display = 'table';
+    }
+
+    /**
+     * Sort the search results by a column, toggling the direction on repeated clicks
+     * @param {string} key - Trial field or hyperparameter name
+     */
+    sortSearchResults(key) {
+        if (!hyperparameterSearch.results) {
+            return;
+        }
+
+        const ascending = this.searchSort.key === key ? !this.searchSort.ascending : true;
+        this.searchSort = { key, ascending };
+
+        const value = trial => {
+            const raw = key in trial.params ? trial.params[key] : trial[key];
+            // Sort unit lists by total size
+            return Array.isArray(raw) ? raw.reduce((a, b) => a + b, 0) : raw ?? -Infinity;
+        };
+        const trials = [...hyperparameterSearch.results.trials].sort((a, b) =>
+            (value(a) - value(b)) * (ascending ? 1 : -1)
+        );
+
+        this.renderSearchTable(trials);
+    }
+
+    /**
+     * Copy the best trial's settings into the form and train on the full training split
+     */
+    async retrainBest() {
+        const best = hyperparameterSearch.results?.best;
+        if (!best) {
+            return;
+        }
+
+        const config = { ...this.getModelConfig(), ...best.params };
+        if (best.params.dropout !== undefined) {
+            // Trials use one dropout rate for every layer
+            config.dropout = config.units.map(() => best.params.dropout);
+        }
+        this.applyModelConfigToForm(config);
+
+        if (best.params.sequenceLength !== undefined) {
+            document.getElementById('lookbackWindow').value = best.params.sequenceLength;
+        }
+        this.applyWindowSettings();
+
+        this.showStatus('info', `Retraining with trial ${best.id} settings...`);
+        await this.trainModel();
+    }
+
+    /**
+     * Forecast days for the strategy simulator, one per consecutive trading day
+     * @param {string} source - 'test' for the trained model's test set, 'backtest' for walk-forward forecasts
+     * @returns {Promise<Array>} - { label, reference, predicted, actual } per day
+     */
+    async getStrategyPeriods(source) {
+        if (source === 'backtest') {
+            if (!backtester.results || backtester.results.steps.length === 0) {
+                throw new Error('Run a walk-forward backtest first');
+            }
+            return backtester.results.steps.map(step => ({
+                label: dataLoader.getTargetLabel(step.index, 1),
+                reference: dataLoader.allSequences.anchors[step.index],
+                predicted: step.predicted,
+                actual: step.actual
+            }));
+        }
+
+        if (!this.isModelTrained || !this.datasets) {
+            throw new Error('Train or load a model first');
+        }
+        const { splitIndex, predicted, actual, reference } = await this.predictTestSet();
+        return predicted.map((values, i) => ({
+            label: dataLoader.getTargetLabel(splitIndex + i, 1),
+            reference: reference[i],
+            predicted: values,
+            actual: actual[i]
+        }));
+    }
+
+    /**
+     * Simulate the forecast-driven trading strategy against buy-and-hold
+     */
+    async runStrategy() {
+        const strategyBtn = document.getElementById('strategyBtn');
+        strategyBtn.disabled = true;
+        strategyBtn.innerHTML = '<div class="loading"></div> Simulating...';
+
+        try {
+            const periods = await this.getStrategyPeriods(document.getElementById('strategySource').value);
+            const result = strategySimulator.simulate(periods, {
+                signalDay: parseInt(document.getElementById('strategySignalDay').value, 10) || 1,
+                longThreshold: Math.max(0, parseFloat(document.getElementById('strategyLongThreshold').value) || 0),
+                shortThreshold: Math.max(0, parseFloat(document.getElementById('strategyShortThreshold').value) || 0),
+                allowShort: document.getElementById('strategyAllowShort').value === 'short',
+                costBps: Math.max(0, parseFloat(document.getElementById('strategyCost').value) || 0)
+            });
+
+            this.renderStrategyTable(result);
+            this.createEquityChart(result);
+
+            const edge = result.strategy.totalReturn - result.buyAndHold.totalReturn;
+            this.showStatus('success', 
+                `✅ Strategy ${edge >= 0 ? 'beat' : 'trailed'} buy-and-hold by ${Math.abs(edge).toFixed(2)} percentage points over ${periods.length} days`
+            );
+        } catch (error) {
+            console.error('Error simulating strategy:', error);
+            this.showStatus('error', `Strategy simulation failed: ${error.message}`);
+        } finally {
+            strategyBtn.disabled = false;
+            strategyBtn.innerHTML = '<i class="fas fa-coins"></i> Simulate Strategy';
+        }
+    }
+
+    /**
+     * Fill the strategy comparison table
+     * @param {Object} result - Output of strategySimulator.simulate()
+     */
+    renderStrategyTable(result) {
+        const rows = [
+            { name: 'Model Signal', stats: result.strategy },
+            { name: 'Buy & Hold', stats: result.buyAndHold }
+        ];
+
+        document.getElementById('strategyTableBody').innerHTML = rows.map(({ name, stats }) => `
+            <tr${name === 'Model Signal' ? ' style="color: #48bb78; font-weight: bold;"' : ''}>
+                <td>${name}</td>
+                <td>${stats.totalReturn.toFixed(2)}%</td>
+                <td>${stats.sharpe.toFixed(2)}</td>
+                <td>-${stats.maxDrawdown.toFixed(2)}%</td>
+                <td>${stats.winRate.toFixed(1)}%</td>
+                <td>${stats.trades}</td>
+                <td>${stats.exposure.toFixed(0)}%</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('strategyTable').style.display = 'table';
+    }
+
+    /**
+     * Plot strategy and buy-and-hold equity curves
+     * @param {Object} result - Output of strategySimulator.simulate()
+     */
+    createEquityChart(result) {
+        if (this.equityChart) {
+            this.equityChart.destroy();
+        }
+
+        const ctx = document.getElementById('equityChart').getContext('2d');
+        this.equityChart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: result.labels,
+                datasets: [
+                    {
+                        label: 'Model Signal',
+                        data: result.strategy.equity,
+                        borderColor: '#48bb78',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.1
+                    },
+                    {
+                        label: 'Buy & Hold',
+                        data: result.buyAndHold.equity,
+                        borderColor: '#f43f5e',
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#fda4af'
+                        }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: {
+                            color: '#fda4af',
+                            maxTicksLimit: 12
+                        },
+                        grid: {
+                            color: 'rgba(253, 164, 175, 0.1)'
+                        }
+                    },
+                    y: {
+                        ticks: {
+                            color: '#fda4af',
+                            callback: function(value) {
+                                return '$' + value.toFixed(0);
+                            }
+                        },
+                        grid: {
+                            color: 'rgba(253, 164, 175, 0.1)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Refresh the saved model dropdown from IndexedDB
+     */
+    async refreshModelList() {
+        const select = document.getElementById('savedModels');
+        
+        try {
+            const models = await modelRegistry.list();
+            select.innerHTML = models.length
+                ? models.map(m => `<option value="${m.name}">${m.name} (${new Date(m.dateSaved).toLocaleString()}, ${Math.round(m.sizeBytes / 1024)} KB)</option>`).join('')
+                : '<option value="">No saved models</option>';
+        } catch (error) {
+            console.warn('Could not list saved models:', error);
+            select.innerHTML = '<option value="">Model storage unavailable</option>';
+        }
+        
+        this.updateUI();
+    }
+
+    /**
+     * Save the trained model under the name in the registry panel
+     */
+    async saveModel() {
+        const name = document.getElementById('modelName').value;
+        
+        try {
+            await modelRegistry.save(name);
+            await this.refreshModelList();
+            document.getElementById('savedModels').value = name.trim();
+            this.updateUI();
+            this.showStatus('success', `✅ Model saved as "${name.trim()}"`);
+        } catch (error) {
+            console.error('Error saving model:', error);
+            this.showStatus('error', `Failed to save model: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a saved model version
+     * @param {string} name - Model name
+     */
+    async loadModel(name) {
+        if (!name) {
+            this.showStatus('error', 'Select a saved model first');
+            return;
+        }
+        
+        try {
+            const metadata = await modelRegistry.load(name);
+            await this.onModelLoaded(metadata, name);
+        } catch (error) {
+            console.error('Error loading model:', error);
+            this.showStatus('error', `Failed to load model: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a saved model version
+     * @param {string} name - Model name
+     */
+    async deleteModel(name) {
+        if (!name || !confirm(`Delete saved model "${name}"?`)) {
+            return;
+        }
+        
+        try {
+            await modelRegistry.remove(name);
+            await this.refreshModelList();
+            this.showStatus('info', `Model "${name}" deleted`);
+        } catch (error) {
+            console.error('Error deleting model:', error);
+            this.showStatus('error', `Failed to delete model: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download the trained model as files
+     */
+    async downloadModel() {
+        try {
+            await modelRegistry.download(document.getElementById('modelName').value);
+            this.showStatus('success', '✅ Model files downloaded');
+        } catch (error) {
+            console.error('Error downloading model:', error);
+            this.showStatus('error', `Failed to download model: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a model from uploaded files
+     * @param {FileList} files - model.json and weight files
+     */
+    async uploadModel(files) {
+        try {
+            const metadata = await modelRegistry.upload(files);
+            await this.onModelLoaded(metadata, 'uploaded files');
+        } catch (error) {
+            console.error('Error uploading model:', error);
+            this.showStatus('error', `Failed to load model files: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sync the UI and datasets with a freshly loaded model
+     * @param {Object} metadata - Metadata stored with the model
+     * @param {string} source - Where the model came from (for the status message)
+     */
+    async onModelLoaded(metadata, source) {
+        // Forecasts run in the worker, so it needs its own copy of the weights
+        await trainingClient.syncModel();
+        this.isModelTrained = true;
+        // The saved tickers can only be selected once data is loaded
+        this.pendingModelState = this.isDataLoaded ? null : metadata.preprocessing || null;
+        this.applyModelConfigToForm(gruModel.config);
+        this.renderSeriesControls();
+        this.renderFeatureToggles();
+        document.getElementById('scalerType').value = dataLoader.scalerType;
+        document.getElementById('lookbackWindow').value = dataLoader.sequenceLength;
+        document.getElementById('forecastHorizon').value = dataLoader.forecastDays;
+        this.renderPredictionCards(dataLoader.forecastDays);
+        
+        // Rebuild sequences with the saved features and the saved, already fitted scalers
+        if (this.isDataLoaded && metadata.preprocessing) {
+            this.disposeDatasets();
+            this.datasets = dataLoader.preprocessData(dataLoader.scalers);
+            
+            if (this.datasets.featureNames.length !== gruModel.inputShape[1]) {
+                this.showStatus('error', 
+                    `Loaded model expects ${gruModel.inputShape[1]} features but the data has ${this.datasets.featureNames.length}`
+                );
+                this.isModelTrained = false;
+                return;
+            }
+        }
+        
+        const trainBtn = document.getElementById('trainBtn');
+        trainBtn.innerHTML = '<i class="fas fa-play-circle"></i> Train Model';
+        trainBtn.disabled = !this.isDataLoaded;
+        
+        this.createPerformanceChart();
+        this.updateUI();
+        this.showStatus('success', `✅ Model loaded from ${source}${metadata.savedAt ? ` (saved ${new Date(metadata.savedAt).toLocaleString()})` : ''}`);
+    }
+
+    /**
+     * Show a model configuration in the settings panel
+     * @param {Object} config - gruModel.config
+     */
+    applyModelConfigToForm(config) {
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element && value !== undefined) {
+                element.value = value;
+            }
+        };
+        const onOff = value => (value ? 'on' : 'off');
+        
+        setValue('architecture', config.architecture);
+        setValue('layerCount', config.units.length);
+        setValue('layerUnits', config.units.join(', '));
+        setValue('dropoutRates', config.dropout.join(', '));
+        setValue('denseUnits', config.denseUnits);
+        setValue('convFilters', config.filters);
+        setValue('kernelSize', config.kernelSize);
+        setValue('optimizer', config.optimizer);
+        setValue('learningRate', config.learningRate);
+        setValue('batchSize', config.batchSize);
+        setValue('epochs', config.epochs);
+        setValue('earlyStopping', onOff(config.earlyStopping));
+        setValue('patience', config.patience);
+        setValue('restoreBestWeights', onOff(config.restoreBestWeights));
+        setValue('reduceLrOnPlateau', onOff(config.reduceLrOnPlateau));
+        setValue('lrFactor', config.lrFactor);
+        setValue('lrPatience', config.lrPatience);
+        setValue('mcSamples', config.mcSamples);
+    }
+
+    /**
+     * Create one empty prediction card per forecast day
+     * @param {number} count - Number of forecast days
+     */
+    renderPredictionCards(count) {
+        const container = document.getElementById('predictionCards');
+        document.getElementById('predictionHorizon').textContent = count;
+        
+        container.innerHTML = Array.from({ length: count }, (_, index) => `
+            <div class="prediction-card">
+                <div class="prediction-day">Day ${index + 1}</div>
+                <div class="prediction-value">-</div>
+                <div class="prediction-direction direction-up">Loading...</div>
+                <div class="prediction-interval">80% / 95% interval: -</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Update prediction cards in UI
+     * @param {Array} predictions - Forecast prices
+     * @param {number} lastPrice - Last observed price
+     * @param {Object} intervals - Monte Carlo dropout intervals, or null
+     * @param {Object} spread - Ensemble { std, members } for the direct horizon, or null
+     */
+    updatePredictionCards(predictions, lastPrice, intervals = null, spread = null) {
+        this.renderPredictionCards(predictions.length);
+        const cards = document.querySelectorAll('.prediction-card');
+        
+        predictions.forEach((prediction, index) => {
+            if (cards[index]) {
+                const priceChange = ((prediction - lastPrice) / lastPrice * 100);
+                
+                cards[index].querySelector('.prediction-value').textContent = `$${prediction.toFixed(2)}`;
+                
+                const directionElement = cards[index].querySelector('.prediction-direction');
+                directionElement.textContent = `${priceChange >= 0 ? '+' : ''}${priceChange.toFixed(2)}%`;
+                directionElement.className = `prediction-direction ${priceChange >= 0 ? 'direction-up' : 'direction-down'}`;
+                
+                // Update day label
+                cards[index].querySelector('.prediction-day').textContent = `Day +${index + 1}`;
+                
+                // Interval widths from Monte Carlo dropout
+                const intervalElement = cards[index].querySelector('.prediction-interval');
+                if (intervalElement && intervals && index >= intervals.lower80.length) {
+                    intervalElement.textContent = 'Recursive forecast (no interval)';
+                } else if (intervalElement && intervals) {
+                    const width80 = intervals.upper80[index] - intervals.lower80[index];
+                    const width95 = intervals.upper95[index] - intervals.lower95[index];
+                    intervalElement.innerHTML = `
+                        80%: $${intervals.lower80[index].toFixed(0)}–$${intervals.upper80[index].toFixed(0)} (±$${(width80 / 2).toFixed(2)})<br>
+                        95%: $${intervals.lower95[index].toFixed(0)}–$${intervals.upper95[index].toFixed(0)} (±$${(width95 / 2).toFixed(2)})
+                    `;
+                } else if (intervalElement && spread) {
+                    // Disagreement across ensemble members, relative to the forecast
+                    intervalElement.textContent = index < spread.std.length
+                        ? `Ensemble spread: ±$${spread.std[index].toFixed(2)} (${(spread.std[index] / prediction * 100).toFixed(2)}%, ${spread.members} models)`
+                        : 'Recursive forecast (no spread)';
+                }
+            }
+        });
+    }
+
+    /**
+     * Create initial visualization of data
+     */
+    createInitialVisualization() {
+        if (!dataLoader.data || dataLoader.data.length === 0) {
+            return;
+        }
+
+        const prices = dataLoader.data.map(row => row[dataLoader.targetColumn]);
+        const labels = dataLoader.data.map((row, i) => dataLoader.getDateLabel(i));
+
+        // Destroy existing chart if any
+        if (this.priceChart) {
+            this.priceChart.destroy();
+        }
+
+        this.forecastAxisLength = 0;
+        const ctx = document.getElementById('priceChart').getContext('2d');
+        this.priceChart = new Chart(ctx, {
+            type: 'line',
             data: {
                 labels: labels.slice(-100), // Show last 100 days
                 datasets: [{
@@ -702,7 +2778,7 @@ class StockPredictorApp {
                     tooltip: {
                         callbacks: {
                             label: function(context) {
-                                return `Price: $${context.raw.toFixed(2)}`;
+                                return `${context.dataset.label}: $${context.raw.toFixed(2)}`;
                             }
                         }
                     }
@@ -736,53 +2812,98 @@ class StockPredictorApp {
     /**
      * Update price chart with predictions
      */
-    updatePriceChartWithPredictions(predictions) {
+    updatePriceChartWithPredictions(predictions, intervals = null) {
         if (!this.priceChart || !dataLoader.data) {
             return;
         }
 
-        const lastIndex = dataLoader.data.length - 1;
-        const predictionLabels = [];
-        const predictionData = [];
-
-        // Add the last actual point for continuity
-        predictionLabels.push(`Day ${lastIndex + 1}`);
-        predictionData.push(dataLoader.data[lastIndex][dataLoader.targetColumn]);
+        // Shaded bands: each upper bound fills down to the lower bound that follows it
+        if (intervals) {
+            const band = (color) => ({
+                borderColor: 'transparent',
+                backgroundColor: color,
+                borderWidth: 0,
+                borderDash: [],
+                pointRadius: 0
+            });
+            this.setForecastDataset('95% Upper Bound', intervals.upper95, { ...band('rgba(72, 187, 120, 0.12)'), fill: '+1' });
+            this.setForecastDataset('95% Lower Bound', intervals.lower95, band('rgba(72, 187, 120, 0.12)'));
+            this.setForecastDataset('80% Upper Bound', intervals.upper80, { ...band('rgba(72, 187, 120, 0.25)'), fill: '+1' });
+            this.setForecastDataset('80% Lower Bound', intervals.lower80, band('rgba(72, 187, 120, 0.25)'));
+        } else {
+            // Ensemble forecasts have no dropout intervals; drop bands from an earlier forecast
+            this.priceChart.data.datasets = this.priceChart.data.datasets.filter(ds => !ds.label.endsWith('Bound'));
+        }
 
-        // Add predictions
-        predictions.forEach((pred, i) => {
-            predictionLabels.push(`Day ${lastIndex + 2 + i} (Pred)`);
-            predictionData.push(pred);
+        this.setForecastDataset('Model Forecast', predictions, {
+            borderColor: '#48bb78',
+            backgroundColor: 'rgba(72, 187, 120, 0.1)',
+            borderWidth: 3,
+            pointRadius: 6,
+            pointBackgroundColor: '#48bb78'
         });
 
-        // Update or add prediction dataset
-        const existingPredictionIndex = this.priceChart.data.datasets.findIndex(ds => ds.label === '5-Day Forecast');
+        this.priceChart.update();
+    }
+
+    /**
+     * Lay out the price chart as recent history followed by forecast slots
+     * @param {number} horizon - Number of forecast days
+     * @returns {number} - Number of history points on the axis
+     */
+    setForecastAxis(horizon) {
+        // Keep room for the longest forecast already on the chart
+        horizon = Math.max(horizon, this.forecastAxisLength || 0);
+        this.forecastAxisLength = horizon;
         
-        if (existingPredictionIndex >= 0) {
-            this.priceChart.data.datasets[existingPredictionIndex].data = predictionData;
-        } else {
-            this.priceChart.data.datasets.push({
-                label: '5-Day Forecast',
-                data: predictionData,
-                borderColor: '#48bb78',
-                backgroundColor: 'rgba(72, 187, 120, 0.1)',
-                borderWidth: 3,
-                borderDash: [5, 5],
-                fill: false,
-                tension: 0.1,
-                pointRadius: 6,
-                pointBackgroundColor: '#48bb78'
-            });
-        }
+        const historyLength = Math.min(95, dataLoader.data.length);
+        const history = dataLoader.data.slice(-historyLength);
+        const firstIndex = dataLoader.data.length - historyLength;
 
-        // Update labels to include predictions
-        const allLabels = [
-            ...this.priceChart.data.labels.slice(-95), // Last 95 actual points
-            ...predictionLabels
+        this.priceChart.data.labels = [
+            ...history.map((row, i) => dataLoader.getDateLabel(firstIndex + i)),
+            ...dataLoader.getFutureLabels(horizon)
         ];
-        
-        this.priceChart.data.labels = allLabels;
-        this.priceChart.update();
+
+        // Actual prices stop where the forecast begins
+        this.priceChart.data.datasets[0].data = [
+            ...history.map(row => row[dataLoader.targetColumn]),
+            ...new Array(horizon).fill(null)
+        ];
+
+        return historyLength;
+    }
+
+    /**
+     * Add or replace a forecast line that starts at the last actual price
+     * @param {string} label - Dataset label
+     * @param {Array} predictions - Forecast prices
+     * @param {Object} style - Chart.js dataset styling
+     */
+    setForecastDataset(label, predictions, style = {}) {
+        const historyLength = this.setForecastAxis(predictions.length);
+        const lastPrice = dataLoader.data[dataLoader.data.length - 1][dataLoader.targetColumn];
+        const data = [
+            ...new Array(historyLength - 1).fill(null),
+            lastPrice,
+            ...predictions
+        ];
+
+        const existing = this.priceChart.data.datasets.find(ds => ds.label === label);
+        if (existing) {
+            existing.data = data;
+            return;
+        }
+
+        this.priceChart.data.datasets.push({
+            label,
+            data,
+            borderDash: [5, 5],
+            fill: false,
+            tension: 0.1,
+            spanGaps: false,
+            ...style
+        });
     }
 
     /**
@@ -823,7 +2944,8 @@ class StockPredictorApp {
                         borderWidth: 2,
                         fill: true,
                         tension: 0.1
-                    }
+                    },
+                    ...this.createTrainingEventDatasets(history)
                 ]
             },
             options: {
@@ -876,6 +2998,59 @@ class StockPredictorApp {
         });
     }
 
+    /**
+     * Build marker datasets for early stopping and learning-rate drops
+     * @param {Object} history - gruModel.trainingHistory
+     * @returns {Array} - Chart.js datasets plotted on the validation loss curve
+     */
+    createTrainingEventDatasets(history) {
+        const markAt = (epochs) => history.epochs.map((epoch, i) =>
+            epochs.includes(epoch) ? history.valLoss[i] : null
+        );
+        const marker = {
+            showLine: false,
+            fill: false,
+            pointRadius: 8,
+            pointHoverRadius: 10
+        };
+        const datasets = [];
+
+        if (history.lrDrops.length > 0) {
+            datasets.push({
+                ...marker,
+                label: 'LR Reduced',
+                data: markAt(history.lrDrops.map(drop => drop.epoch)),
+                borderColor: '#ecc94b',
+                backgroundColor: '#ecc94b',
+                pointStyle: 'triangle'
+            });
+        }
+
+        if (history.bestEpoch) {
+            datasets.push({
+                ...marker,
+                label: 'Best Epoch',
+                data: markAt([history.bestEpoch]),
+                borderColor: '#48bb78',
+                backgroundColor: '#48bb78',
+                pointStyle: 'star'
+            });
+        }
+
+        if (history.stoppedEpoch) {
+            datasets.push({
+                ...marker,
+                label: 'Early Stop',
+                data: markAt([history.stoppedEpoch]),
+                borderColor: '#f56565',
+                backgroundColor: '#f56565',
+                pointStyle: 'crossRot'
+            });
+        }
+
+        return datasets;
+    }
+
     /**
      * Show status message
      */
@@ -912,12 +3087,55 @@ class StockPredictorApp {
         if (this.isDataLoaded) {
             viewDataBtn.disabled = false;
             trainBtn.disabled = false;
+            document.getElementById('backtestBtn').disabled = backtester.isRunning;
+            document.getElementById('compareBaselinesBtn').disabled = false;
+            document.getElementById('searchBtn').disabled = hyperparameterSearch.isRunning;
+            ['exportCsvBtn', 'exportJsonBtn', 'exportHtmlBtn'].forEach(id => {
+                document.getElementById(id).disabled = false;
+            });
         }
 
         if (this.isModelTrained) {
             predictBtn.disabled = false;
             stopTrainBtn.disabled = true;
         }
+        if (this.isEnsembleActive()) {
+            predictBtn.disabled = false;
+        }
+        document.getElementById('trainEnsembleBtn').disabled = !this.datasets || ensembleModel.isRunning;
+        document.getElementById('diagnosticsBtn').disabled = !(this.isModelTrained && this.datasets);
+        document.getElementById('strategyBtn').disabled = !((this.isModelTrained && this.datasets) || backtester.results);
+        document.getElementById('updateFileInput').disabled = !this.isDataLoaded;
+        document.getElementById('appendRowBtn').disabled = !this.isDataLoaded;
+        document.getElementById('fineTuneBtn').disabled = !(this.isModelTrained && this.datasets);
+
+        // Model registry buttons
+        const hasSelection = Boolean(document.getElementById('savedModels').value);
+        document.getElementById('saveModelBtn').disabled = !this.isModelTrained;
+        document.getElementById('downloadModelBtn').disabled = !this.isModelTrained;
+        document.getElementById('loadModelBtn').disabled = !hasSelection;
+        document.getElementById('deleteModelBtn').disabled = !hasSelection;
+    }
+
+    /**
+     * Release dataset tensors
+     */
+    disposeDatasets() {
+        if (this.datasets) {
+            this.datasets.X_train.dispose();
+            this.datasets.y_train.dispose();
+            this.datasets.X_test.dispose();
+            this.datasets.y_test.dispose();
+            this.datasets = null;
+        }
+        this.diagnostics = null;
+        this.modelScores = {};
+        
+        // Ensemble members were trained on these sequences
+        if (!ensembleModel.isRunning) {
+            ensembleModel.dispose();
+            document.getElementById('ensembleTable').style.display = 'none';
+        }
     }
 
     /**
@@ -930,12 +3148,16 @@ class StockPredictorApp {
         if (this.performanceChart) {
             this.performanceChart.destroy();
         }
-        if (this.datasets) {
-            this.datasets.X_train.dispose();
-            this.datasets.y_train.dispose();
-            this.datasets.X_test.dispose();
-            this.datasets.y_test.dispose();
+        if (this.backtestChart) {
+            this.backtestChart.destroy();
+        }
+        Object.values(this.diagnosticCharts).forEach(chart => chart.destroy());
+        ensembleModel.dispose();
+        if (this.equityChart) {
+            this.equityChart.destroy();
         }
+        this.disposeDatasets();
+        trainingClient.terminate();
         gruModel.dispose();
         dataLoader.dispose();
         
@@ -956,10 +3178,10 @@ document.addEventListener('DOMContentLoaded', () => {
     2. Upload the CSV file using the file selector
     3. Click "Load & Prepare Data"
     4. Click "Train Model"
-    5. Click "Make Predictions" to see 5-day forecast
+    5. Click "Make Predictions" to see the multi-day forecast
     ====================
     `);
-});
 
-// Make app available globally for debugging
-window.app = app;
+    // Make app available globally for debugging
+    window.app = app;
+});
@@ -0,0 +1,206 @@
+// architectures.js
+/**
+ * Architectures Module
+ * Backbones the model wrapper in gru.js can be built with. Each backbone maps
+ * the input window [steps, features] to a flat feature vector; the shared dense
+ * head and output layer are added by GRUModel.buildModel().
+ *
+ * `units` and `dropout` hold one entry per recurrent layer, convolutional block
+ * or attention block, depending on the architecture. A numeric `seed` makes the
+ * weight initialization repeatable.
+ */
+
+/**
+ * Available architectures and their labels
+ */
+export const ARCHITECTURES = {
+    gru: 'Stacked GRU',
+    lstm: 'Stacked LSTM',
+    bigru: 'Bidirectional GRU',
+    cnngru: '1D-CNN + GRU',
+    tcn: 'Temporal Convolutional Network',
+    attention: 'Attention Encoder'
+};
+
+/**
+ * Add dropout when the rate is positive
+ * @param {tf.SymbolicTensor} x - Layer input
+ * @param {number} rate - Dropout rate
+ * @returns {tf.SymbolicTensor} - Layer output
+ */
+function maybeDropout(x, rate) {
+    return rate > 0 ? tf.layers.dropout({ rate }).apply(x) : x;
+}
+
+/**
+ * Initializers for one model build. With a numeric seed each layer draws its
+ * own seed from it, so the same seed rebuilds the same starting weights;
+ * without one tfjs picks random seeds.
+ * @param {number|null} seed - Base seed
+ * @returns {Function} - Maps an initializer name to a layer option value
+ */
+export function createInitializers(seed) {
+    let layer = 0;
+    // Spaced out so consecutive base seeds (e.g. ensemble members) share no layer seeds
+    return (name) => Number.isFinite(seed) ? tf.initializers[name]({ seed: seed * 1000 + layer++ }) : name;
+}
+
+/**
+ * Stacked recurrent layers, returning the last layer's final state
+ * @param {tf.SymbolicTensor} input - Window [steps, features]
+ * @param {Object} config - Model configuration
+ * @param {Function} createLayer - Builds one recurrent layer from (units, returnSequences)
+ * @returns {tf.SymbolicTensor} - Features
+ */
+function recurrentStack(input, config, createLayer) {
+    const { units, dropout } = config;
+    let x = input;
+
+    units.forEach((layerUnits, index) => {
+        x = createLayer(layerUnits, index < units.length - 1).apply(x);
+        x = maybeDropout(x, dropout[index]);
+    });
+
+    return x;
+}
+
+const BUILDERS = {
+    gru(input, config, init) {
+        return recurrentStack(input, config, (units, returnSequences) =>
+            tf.layers.gru({
+                units,
+                returnSequences,
+                kernelInitializer: init('glorotNormal'),
+                recurrentInitializer: init('orthogonal')
+            })
+        );
+    },
+
+    lstm(input, config, init) {
+        return recurrentStack(input, config, (units, returnSequences) =>
+            tf.layers.lstm({
+                units,
+                returnSequences,
+                kernelInitializer: init('glorotNormal'),
+                recurrentInitializer: init('orthogonal')
+            })
+        );
+    },
+
+    bigru(input, config, init) {
+        // Forward and backward passes are concatenated, doubling each layer's width
+        return recurrentStack(input, config, (units, returnSequences) =>
+            tf.layers.bidirectional({
+                layer: tf.layers.gru({
+                    units,
+                    returnSequences,
+                    kernelInitializer: init('glorotNormal'),
+                    recurrentInitializer: init('orthogonal')
+                }),
+                mergeMode: 'concat'
+            })
+        );
+    },
+
+    cnngru(input, config, init) {
+        // Convolution picks out local patterns and pooling halves the sequence the GRU has to read
+        let x = tf.layers.conv1d({
+            filters: config.filters,
+            kernelSize: config.kernelSize,
+            padding: 'same',
+            activation: 'relu',
+            kernelInitializer: init('heNormal')
+        }).apply(input);
+        x = tf.layers.maxPooling1d({ poolSize: 2, padding: 'same' }).apply(x);
+
+        return BUILDERS.gru(x, config, init);
+    },
+
+    tcn(input, config, init) {
+        const { units, dropout, kernelSize } = config;
+        let x = input;
+
+        // Residual convolution blocks. tfjs cannot backpropagate through dilated
+        // convolutions, so the sequence is halved between blocks instead, which
+        // doubles the receptive field per block just like dilation would. The whole
+        // window is past data, so 'same' padding does not leak the future.
+        units.forEach((filters, index) => {
+            if (index > 0) {
+                x = tf.layers.maxPooling1d({ poolSize: 2, padding: 'same' }).apply(x);
+            }
+
+            const convolution = (inputTensor) => tf.layers.conv1d({
+                filters,
+                kernelSize,
+                padding: 'same',
+                activation: 'relu',
+                kernelInitializer: init('heNormal')
+            }).apply(inputTensor);
+
+            let y = maybeDropout(convolution(x), dropout[index]);
+            y = convolution(y);
+
+            // 1x1 convolution when the residual width changes
+            const residual = x.shape[2] === filters
+                ? x
+                : tf.layers.conv1d({
+                    filters,
+                    kernelSize: 1,
+                    padding: 'same',
+                    kernelInitializer: init('glorotNormal')
+                }).apply(x);
+
+            x = tf.layers.activation({ activation: 'relu' }).apply(tf.layers.add().apply([residual, y]));
+        });
+
+        return tf.layers.flatten().apply(x);
+    },
+
+    attention(input, config, init) {
+        const { units, dropout } = config;
+        let x = input;
+
+        // Single-head self-attention blocks with residual connections and layer norm
+        units.forEach((width, index) => {
+            const dense = (layerUnits, activation) => tf.layers.dense({
+                units: layerUnits,
+                activation,
+                kernelInitializer: init('glorotNormal')
+            });
+            x = dense(width).apply(x);
+
+            const query = dense(width).apply(x);
+            const key = dense(width).apply(x);
+            const value = dense(width).apply(x);
+
+            let scores = tf.layers.dot({ axes: [2, 2] }).apply([query, key]);
+            scores = tf.layers.rescaling({ scale: 1 / Math.sqrt(width) }).apply(scores);
+            const weights = tf.layers.softmax({ axis: -1 }).apply(scores);
+            const attended = maybeDropout(tf.layers.dot({ axes: [2, 1] }).apply([weights, value]), dropout[index]);
+
+            x = tf.layers.layerNormalization().apply(tf.layers.add().apply([x, attended]));
+
+            const feedForward = dense(width).apply(dense(width * 2, 'relu').apply(x));
+            x = tf.layers.layerNormalization().apply(tf.layers.add().apply([x, feedForward]));
+        });
+
+        // Attention alone ignores order; flattening keeps each step's position
+        return tf.layers.flatten().apply(x);
+    }
+};
+
+/**
+ * Build an architecture's backbone on top of the model input
+ * @param {string} architecture - Key of ARCHITECTURES
+ * @param {tf.SymbolicTensor} input - Window [steps, features]
+ * @param {Object} config - Model configuration (see DEFAULT_MODEL_CONFIG)
+ * @param {Function} init - Initializer factory from createInitializers()
+ * @returns {tf.SymbolicTensor} - Flat feature vector for the dense head
+ */
+export function buildBackbone(architecture, input, config, init = createInitializers(config.seed)) {
+    const builder = BUILDERS[architecture];
+    if (!builder) {
+        throw new Error(`Unknown architecture: ${architecture}`);
+    }
+    return builder(input, config, init);
+}
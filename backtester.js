@@ -0,0 +1,225 @@
+// backtester.js
+/**
+ * Walk-Forward Backtesting Module
+ * Retrains or fine-tunes the GRU on expanding or rolling windows and
+ * collects out-of-sample forecasts for every test step. Folds train in the
+ * training worker; forecasts for each test block run on the main thread.
+ */
+
+import { dataLoader } from './data-loader.js';
+import { trainingClient } from './training-client.js';
+import { horizonMetrics } from './metrics.js';
+
+/**
+ * Default walk-forward settings
+ */
+export const DEFAULT_BACKTEST_CONFIG = {
+    mode: 'expanding', // 'expanding' or 'rolling'
+    initialTrainFraction: 0.6, // Share of samples used for the first fold
+    windowSize: 1000, // Training samples per fold in rolling mode
+    stepSize: 50, // Test samples per fold
+    refit: 'finetune', // 'retrain' from scratch or 'finetune' the previous fold's model
+    epochs: 20, // Epochs for a full (re)train
+    fineTuneEpochs: 5, // Epochs for each fine-tune
+    validationFraction: 0.1 // Tail of each training window used for validation
+};
+
+class WalkForwardBacktester {
+    constructor() {
+        this.isRunning = false;
+        this.model = null;
+        this.results = null;
+    }
+
+    /**
+     * Run a walk-forward backtest over dataLoader.allSequences
+     * @param {Object} options - Backtest settings (see DEFAULT_BACKTEST_CONFIG)
+     * @param {Object} options.modelConfig - GRU configuration for each fold
+     * @param {Function} options.onFoldEnd - Called with (foldIndex, foldCount, fold)
+     * @param {Function} options.onEpochEnd - Called with (foldIndex, epoch, logs)
+     * @returns {Promise<Object>} - { steps, metrics, folds, config }
+     */
+    async run(options = {}) {
+        const { modelConfig = {}, onFoldEnd, onEpochEnd, ...settings } = options;
+        const config = { ...DEFAULT_BACKTEST_CONFIG, ...settings };
+
+        if (!dataLoader.allSequences) {
+            throw new Error('No sequences available. Load and preprocess data first.');
+        }
+
+        const { y } = dataLoader.allSequences;
+        const horizon = y[0].length;
+        const totalSamples = y.length;
+        const firstTest = Math.floor(totalSamples * config.initialTrainFraction);
+
+        if (firstTest < 2 * horizon || firstTest >= totalSamples) {
+            throw new Error('Not enough samples for walk-forward backtesting');
+        }
+
+        const foldCount = Math.ceil((totalSamples - firstTest) / config.stepSize);
+        const steps = [];
+        const folds = [];
+        let stopped = false;
+        // Scalers the fine-tuned model was first trained with
+        let modelScalers = null;
+
+        this.isRunning = true;
+        this.disposeModel();
+
+        try {
+            for (let fold = 0; fold < foldCount && this.isRunning; fold++) {
+                const testStart = firstTest + fold * config.stepSize;
+                const testEnd = Math.min(testStart + config.stepSize, totalSamples);
+
+                // Training targets end right before the first test target
+                const trainEnd = testStart - horizon + 1;
+                const trainStart = config.mode === 'rolling'
+                    ? Math.max(0, trainEnd - config.windowSize)
+                    : 0;
+
+                // A full (re)train refits the scalers on this fold's training rows so the
+                // test block stays unseen. Fine-tuning keeps the scalers the carried
+                // weights were trained with, which only saw earlier training rows.
+                const fullTrain = !this.model || config.refit === 'retrain';
+                const foldData = dataLoader.getFoldSequences(trainStart, trainEnd, testEnd, fullTrain ? null : modelScalers);
+
+                await this.fitFold(foldData, trainStart, trainEnd, {
+                    ...modelConfig,
+                    epochs: fullTrain ? config.epochs : config.fineTuneEpochs
+                }, config.validationFraction, fullTrain, {
+                    onEpochEnd: (epoch, logs) => onEpochEnd && onEpochEnd(fold, epoch, logs)
+                });
+
+                // A fold cut short by a stop request is not comparable; leave it out
+                if (!this.isRunning) {
+                    stopped = true;
+                    break;
+                }
+                modelScalers = foldData.scalers;
+
+                // Out-of-sample forecasts for the test block
+                const foldSteps = this.forecastBlock(foldData, testStart, testEnd);
+                steps.push(...foldSteps);
+
+                const foldInfo = { fold, trainStart, trainEnd, testStart, testEnd, refit: fullTrain ? 'retrain' : 'finetune' };
+                folds.push(foldInfo);
+                console.log(`Backtest fold ${fold + 1}/${foldCount}: train [${trainStart}, ${trainEnd}), test [${testStart}, ${testEnd})`);
+
+                if (onFoldEnd) {
+                    onFoldEnd(fold, foldCount, foldInfo);
+                }
+
+                // Let the browser repaint between folds
+                await tf.nextFrame();
+            }
+        } finally {
+            this.isRunning = false;
+            this.disposeModel();
+        }
+
+        this.results = {
+            steps,
+            metrics: horizonMetrics(steps.map(step => step.predicted), steps.map(step => step.actual)),
+            folds,
+            stopped, // True if a stop request interrupted (and dropped) a fold
+            config
+        };
+
+        return this.results;
+    }
+
+    /**
+     * Train or fine-tune the fold model
+     * @param {Object} foldData - Output of dataLoader.getFoldSequences()
+     * @param {number} start - First training sample
+     * @param {number} end - End of training samples (exclusive)
+     * @param {Object} modelConfig - GRU configuration
+     * @param {number} validationFraction - Tail share held out for validation
+     * @param {boolean} rebuild - Build a fresh model before training
+     * @param {Object} callbacks - Training progress callbacks (onEpochEnd)
+     */
+    async fitFold(foldData, start, end, modelConfig, validationFraction, rebuild, callbacks = {}) {
+        // Fold arrays are indexed from foldData.start
+        const first = start - foldData.start;
+        const last = end - foldData.start;
+        const bounds = dataLoader.validationBounds(end - start, validationFraction);
+        if (bounds.trainEnd < 1) {
+            throw new Error(`Not enough training samples (${end - start}) in fold [${start}, ${end})`);
+        }
+        const { X, y } = foldData;
+        const trainSplit = first + bounds.trainEnd;
+        const split = first + bounds.valStart;
+
+        // Fine-tuning continues from the previous fold's weights
+        const artifacts = rebuild || !this.model ? null : await this.model.toArtifacts();
+
+        const X_train = tf.tensor3d(X.slice(first, trainSplit));
+        const y_train = tf.tensor2d(y.slice(first, trainSplit));
+        const X_val = tf.tensor3d(X.slice(split, last));
+        const y_val = tf.tensor2d(y.slice(split, last));
+
+        try {
+            const model = await trainingClient.trainModel({
+                inputShape: [X[0].length, X[0][0].length],
+                outputShape: y[0].length,
+                config: modelConfig,
+                artifacts
+            }, { X_train, y_train, X_val, y_val }, callbacks);
+            this.disposeModel();
+            this.model = model;
+        } finally {
+            X_train.dispose();
+            y_train.dispose();
+            X_val.dispose();
+            y_val.dispose();
+        }
+    }
+
+    /**
+     * Forecast each sample in a test block and denormalize the results
+     * @param {Object} foldData - Output of dataLoader.getFoldSequences()
+     * @param {number} start - First test sample
+     * @param {number} end - End of test samples (exclusive)
+     * @returns {Array} - { index, label, predicted, actual } per sample
+     */
+    forecastBlock(foldData, start, end) {
+        const { X, y, anchors, scalers } = foldData;
+        const offset = foldData.start;
+        const input = tf.tensor3d(X.slice(start - offset, end - offset));
+        const output = this.model.predict(input);
+        const predictions = output.arraySync();
+        input.dispose();
+        output.dispose();
+
+        return predictions.map((predicted, i) => {
+            const local = start - offset + i;
+            return {
+                index: start + i,
+                label: dataLoader.getTargetLabel(start + i, 1),
+                predicted: scalers.target.inverseTransform(predicted, anchors[local]),
+                actual: scalers.target.inverseTransform(y[local], anchors[local])
+            };
+        });
+    }
+
+    /**
+     * Stop after the current fold
+     */
+    stop() {
+        this.isRunning = false;
+        trainingClient.stop();
+    }
+
+    /**
+     * Release the fold model
+     */
+    disposeModel() {
+        if (this.model) {
+            this.model.dispose();
+        }
+        this.model = null;
+    }
+}
+
+// Export singleton instance
+export const backtester = new WalkForwardBacktester();
@@ -0,0 +1,298 @@
+// baselines.js
+/**
+ * Baseline Models Module
+ * Naive and statistical forecasters that share GRUModel's forecast(latestWindow)
+ * interface, so the GRU can be compared against them on the same test set
+ */
+
+import { horizonMetrics, summarizeMetrics } from './metrics.js';
+
+/**
+ * Solve a linear system A x = b with Gaussian elimination (partial pivoting)
+ * @param {Array} A - Square matrix
+ * @param {Array} b - Right-hand side
+ * @returns {Array} - Solution vector
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        if (Math.abs(M[col][col]) < 1e-12) {
+            throw new Error('Singular matrix in AR fit');
+        }
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) {
+                M[row][k] -= factor * M[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= M[row][k] * x[k];
+        }
+        x[row] = sum / M[row][row];
+    }
+
+    return x;
+}
+
+/**
+ * Base class: subclasses implement forecastSeries(series)
+ */
+class BaselineModel {
+    constructor(name, horizon = 5) {
+        this.name = name;
+        this.horizon = horizon;
+        this.targetIndex = 0; // Position of the target column among window features
+    }
+
+    /**
+     * Estimate parameters from the training target series (optional)
+     * @param {Array} series - Normalized training target values
+     */
+    fit(series) {
+        return this;
+    }
+
+    /**
+     * Forecast from a history of target values
+     * @param {Array} series - Normalized target values, oldest first
+     * @returns {Array} - Normalized forecasts for the next `horizon` days
+     */
+    forecastSeries(series) {
+        throw new Error(`${this.name} does not implement forecastSeries()`);
+    }
+
+    /**
+     * Forecast next N days using the latest window (same contract as GRUModel.forecast)
+     * @param {tf.Tensor|Array} latestWindow - Window of shape [1, sequenceLength, features]
+     * @returns {Array} - Forecasted values (normalized)
+     */
+    forecast(latestWindow) {
+        const window = Array.isArray(latestWindow) ? latestWindow : latestWindow.arraySync();
+        return this.forecastSeries(window[0].map(step => step[this.targetIndex]));
+    }
+}
+
+class RandomWalkModel extends BaselineModel {
+    constructor(horizon) {
+        super('Random Walk', horizon);
+    }
+
+    forecastSeries(series) {
+        return new Array(this.horizon).fill(series[series.length - 1]);
+    }
+}
+
+class DriftModel extends BaselineModel {
+    constructor(horizon) {
+        super('Drift', horizon);
+    }
+
+    forecastSeries(series) {
+        const last = series[series.length - 1];
+        const slope = (last - series[0]) / Math.max(series.length - 1, 1);
+        return Array.from({ length: this.horizon }, (_, h) => last + slope * (h + 1));
+    }
+}
+
+class MovingAverageModel extends BaselineModel {
+    constructor(horizon, window = 20) {
+        super(`Moving Average (${window})`, horizon);
+        this.window = window;
+    }
+
+    forecastSeries(series) {
+        const recent = series.slice(-this.window);
+        const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
+        return new Array(this.horizon).fill(mean);
+    }
+}
+
+class HoltModel extends BaselineModel {
+    constructor(horizon) {
+        super('Holt (Exp. Smoothing)', horizon);
+        this.alpha = 0.5;
+        this.beta = 0.1;
+    }
+
+    /**
+     * Run Holt's linear smoothing over a series
+     * @returns {Object} - { level, trend, sse } after the last value
+     */
+    smooth(series, alpha, beta) {
+        let level = series[0];
+        let trend = series.length > 1 ? series[1] - series[0] : 0;
+        let sse = 0;
+
+        for (let i = 1; i < series.length; i++) {
+            const error = series[i] - (level + trend);
+            sse += error * error;
+            const prevLevel = level;
+            level = alpha * series[i] + (1 - alpha) * (level + trend);
+            trend = beta * (level - prevLevel) + (1 - beta) * trend;
+        }
+
+        return { level, trend, sse };
+    }
+
+    /**
+     * Pick alpha/beta by grid search on one-step-ahead error
+     */
+    fit(series) {
+        let best = Infinity;
+        for (let alpha = 0.1; alpha <= 0.91; alpha += 0.1) {
+            for (let beta = 0.0; beta <= 0.51; beta += 0.05) {
+                const { sse } = this.smooth(series, alpha, beta);
+                if (sse < best) {
+                    best = sse;
+                    this.alpha = alpha;
+                    this.beta = beta;
+                }
+            }
+        }
+        console.log(`Holt fitted: alpha=${this.alpha.toFixed(2)}, beta=${this.beta.toFixed(2)}`);
+        return this;
+    }
+
+    forecastSeries(series) {
+        const { level, trend } = this.smooth(series, this.alpha, this.beta);
+        return Array.from({ length: this.horizon }, (_, h) => level + trend * (h + 1));
+    }
+}
+
+class ARModel extends BaselineModel {
+    constructor(horizon, order = 5) {
+        super(`AR(${order})`, horizon);
+        this.order = order;
+        this.coefficients = null; // [intercept, phi_1 .. phi_p] on first differences
+    }
+
+    /**
+     * Least-squares fit of an AR(p) on first differences
+     */
+    fit(series) {
+        const diffs = series.slice(1).map((v, i) => v - series[i]);
+        const p = this.order;
+        const XtX = Array.from({ length: p + 1 }, () => new Array(p + 1).fill(0));
+        const Xty = new Array(p + 1).fill(0);
+
+        for (let t = p; t < diffs.length; t++) {
+            const row = [1];
+            for (let k = 1; k <= p; k++) {
+                row.push(diffs[t - k]);
+            }
+            for (let i = 0; i <= p; i++) {
+                Xty[i] += row[i] * diffs[t];
+                for (let j = 0; j <= p; j++) {
+                    XtX[i][j] += row[i] * row[j];
+                }
+            }
+        }
+
+        // Small ridge term keeps the system well conditioned
+        for (let i = 1; i <= p; i++) {
+            XtX[i][i] += 1e-8;
+        }
+
+        this.coefficients = solveLinearSystem(XtX, Xty);
+        console.log(`AR(${p}) fitted:`, this.coefficients.map(c => c.toFixed(4)).join(', '));
+        return this;
+    }
+
+    forecastSeries(series) {
+        if (!this.coefficients) {
+            throw new Error(`${this.name} not fitted`);
+        }
+
+        const diffs = series.slice(1).map((v, i) => v - series[i]);
+        const forecasts = [];
+        let level = series[series.length - 1];
+
+        // Recursive multi-step forecast, feeding predicted differences back in
+        for (let h = 0; h < this.horizon; h++) {
+            let next = this.coefficients[0];
+            for (let k = 1; k <= this.order; k++) {
+                next += this.coefficients[k] * (diffs[diffs.length - k] ?? 0);
+            }
+            diffs.push(next);
+            level += next;
+            forecasts.push(level);
+        }
+
+        return forecasts;
+    }
+}
+
+class BaselineSuite {
+    constructor() {
+        this.models = [];
+        this.results = [];
+    }
+
+    /**
+     * Create the baseline models for a horizon
+     * @param {number} horizon - Number of forecast days
+     * @returns {Array} - Baseline models
+     */
+    createModels(horizon) {
+        this.models = [
+            new RandomWalkModel(horizon),
+            new DriftModel(horizon),
+            new MovingAverageModel(horizon, 20),
+            new HoltModel(horizon),
+            new ARModel(horizon, 5)
+        ];
+        return this.models;
+    }
+
+    /**
+     * Fit all baselines on the training split and score them on the test split
+     * @param {Object} datasets - Output of dataLoader.preprocessData()
+     * @param {number} targetIndex - Position of the target column among features
+     * @param {Function} denormalize - Maps (normalized target values, test sample index) to prices
+     * @returns {Array} - { name, model, metrics, summary } per baseline
+     */
+    evaluate(datasets, targetIndex, denormalize) {
+        if (targetIndex < 0) {
+            throw new Error('Target column is not among the model features');
+        }
+
+        const X_test = datasets.X_test.arraySync();
+        const y_test = datasets.y_test.arraySync();
+        const actual = y_test.map((target, i) => denormalize(target, i));
+        // Scaled target over the training rows, in chronological order
+        const trainingSeries = datasets.trainTargetSeries;
+
+        this.createModels(datasets.forecastDays);
+
+        this.results = this.models.map(model => {
+            model.targetIndex = targetIndex;
+            model.fit(trainingSeries);
+
+            const predicted = X_test.map((window, i) =>
+                denormalize(model.forecastSeries(window.map(step => step[targetIndex])), i)
+            );
+            const metrics = horizonMetrics(predicted, actual);
+
+            return { name: model.name, model, metrics, summary: summarizeMetrics(metrics) };
+        });
+
+        return this.results;
+    }
+}
+
+// Export singleton instance
+export const baselineSuite = new BaselineSuite();
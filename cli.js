@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+// cli.js
+/**
+ * Command Line Interface
+ * Headless training, evaluation, forecasting and backtesting with the same
+ * DataLoader / GRUModel code the browser app uses.
+ *
+ * Usage (after `npm install`; Node 18.3+ for util.parseArgs):
+ *   node cli.js train    --csv my_data.csv [--model models/sp500-gru] [--out results]
+ *   node cli.js evaluate --csv my_data.csv [--model models/sp500-gru] [--out results]
+ *   node cli.js forecast --csv my_data.csv [--model models/sp500-gru] [--days 20]
+ *   node cli.js backtest --csv my_data.csv [--mode expanding|rolling] [--step 50]
+ *   node cli.js update   --csv my_data.csv --append new_rows.csv [--model models/sp500-gru] [--epochs 5]
+ *
+ * Uses @tensorflow/tfjs-node when installed, otherwise the pure-JS CPU backend
+ * from @tensorflow/tfjs. Models are written as model.json + weights.bin, the
+ * same layout the browser downloads, so either side can load them.
+ */
+
+import { parseArgs } from 'node:util';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { toCSV } from './report-exporter.js';
+
+const USAGE = `Usage: node cli.js <train|evaluate|forecast|backtest|update> --csv <file> [options]
+
+Common options:
+  --csv <files>           Input CSV, or comma-separated CSVs with one ticker each (required)
+  --target <symbol>       Ticker to forecast (default: first loaded)
+  --exogenous <list>      Comma-separated tickers whose prices become input features
+  --global                Also train on every other loaded ticker
+  --model <dir>           Model directory (default: models/sp500-gru)
+  --out <dir>             Directory for JSON/CSV results (default: results)
+  --missing <strategy>    interpolate | ffill | drop (default: interpolate)
+  --outliers <strategy>   flag | winsorize | none (default: flag)
+
+train / backtest:
+  --lookback <days>       Input window length (default: 60)
+  --horizon <days>        Forecast days of the output head (default: 5)
+  --scaler <type>         minmax | zscore | robust | logreturn (default: minmax)
+  --features <list>       Comma-separated engineered features (default: pipeline defaults)
+  --architecture <name>   gru | lstm | bigru | cnngru | tcn | attention (default: gru)
+  --units <list>          Units per layer or block, e.g. 128,64
+  --dropout <list>        Dropout per layer or block, e.g. 0.3,0.2
+  --epochs <n>            Training epochs
+  --batch-size <n>        Batch size
+  --learning-rate <x>     Learning rate
+
+forecast:
+  --days <n>              Days to forecast; beyond the horizon runs recursively
+  --samples <n>           Monte Carlo dropout passes for intervals (default: model config)
+
+backtest:
+  --mode <mode>           expanding | rolling (default: expanding)
+  --window <n>            Training samples per fold in rolling mode
+  --step <n>              Test samples per fold
+  --refit <mode>          finetune | retrain
+
+update (fine-tunes the saved model on appended rows and saves it back):
+  --append <files>        Comma-separated CSVs with the new rows (required)
+  --epochs <n>            Fine-tune epochs (default: 5)
+  --learning-rate <x>     Fine-tune learning rate (default: the model's)
+  --windows <n>           Most recent windows to fine-tune on (default: 60)
+  --refit-scaler          Refit the scalers instead of keeping the saved ones
+`;
+
+const OPTIONS = {
+    csv: { type: 'string' },
+    target: { type: 'string' },
+    exogenous: { type: 'string' },
+    global: { type: 'boolean' },
+    model: { type: 'string', default: 'models/sp500-gru' },
+    out: { type: 'string', default: 'results' },
+    missing: { type: 'string' },
+    outliers: { type: 'string' },
+    lookback: { type: 'string' },
+    horizon: { type: 'string' },
+    scaler: { type: 'string' },
+    features: { type: 'string' },
+    architecture: { type: 'string' },
+    units: { type: 'string' },
+    dropout: { type: 'string' },
+    epochs: { type: 'string' },
+    'batch-size': { type: 'string' },
+    'learning-rate': { type: 'string' },
+    days: { type: 'string' },
+    samples: { type: 'string' },
+    mode: { type: 'string' },
+    window: { type: 'string' },
+    step: { type: 'string' },
+    refit: { type: 'string' },
+    append: { type: 'string' },
+    windows: { type: 'string' },
+    'refit-scaler': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Modules that expect the global `tf`, loaded once the backend is ready
+let dataLoader;
+let gruModel;
+let featurePipeline;
+let backtester;
+let horizonMetrics;
+let summarizeMetrics;
+
+/**
+ * Load TensorFlow.js (native bindings if available) and the app modules
+ */
+async function loadModules() {
+    try {
+        globalThis.tf = await import('@tensorflow/tfjs-node');
+        console.log('Using @tensorflow/tfjs-node backend');
+    } catch (error) {
+        globalThis.tf = await import('@tensorflow/tfjs');
+        await tf.setBackend('cpu');
+        console.log('@tensorflow/tfjs-node not available, using the pure-JS CPU backend');
+    }
+
+    ({ dataLoader } = await import('./data-loader.js'));
+    ({ gruModel } = await import('./gru.js'));
+    ({ featurePipeline } = await import('./features.js'));
+    ({ backtester } = await import('./backtester.js'));
+    ({ horizonMetrics, summarizeMetrics } = await import('./metrics.js'));
+}
+
+/**
+ * Parse a number option
+ * @param {string} value - Raw option
+ * @param {string} name - Option name for errors
+ * @returns {number|undefined} - Parsed number, or undefined if not given
+ */
+function toNumber(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`--${name} must be a number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Parse a comma-separated number list option
+ * @param {string} value - Raw option
+ * @param {string} name - Option name for errors
+ * @returns {Array|undefined} - Numbers, or undefined if not given
+ */
+function toNumberList(value, name) {
+    return value === undefined ? undefined : value.split(',').map(item => toNumber(item.trim(), name));
+}
+
+/**
+ * Drop undefined entries so option objects can be spread over defaults
+ * @param {Object} object - Options
+ * @returns {Object} - Options that were given
+ */
+function defined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Model configuration from command line options
+ * @param {Object} args - Parsed options
+ * @returns {Object} - Overrides for DEFAULT_MODEL_CONFIG
+ */
+function modelConfigFromArgs(args) {
+    return defined({
+        architecture: args.architecture,
+        units: toNumberList(args.units, 'units'),
+        dropout: toNumberList(args.dropout, 'dropout'),
+        epochs: toNumber(args.epochs, 'epochs'),
+        batchSize: toNumber(args['batch-size'], 'batch-size'),
+        learningRate: toNumber(args['learning-rate'], 'learning-rate')
+    });
+}
+
+/**
+ * Read, parse and clean the CSVs given with --csv and select the tickers
+ * @param {Object} args - Parsed options
+ */
+async function loadData(args) {
+    if (!args.csv) {
+        throw new Error('--csv <file> is required');
+    }
+
+    const files = args.csv.split(',').map(file => file.trim()).filter(Boolean);
+    const sources = [];
+    for (const file of files) {
+        sources.push({ name: path.basename(file), text: await fs.readFile(file, 'utf8') });
+    }
+    dataLoader.parseSources(sources);
+
+    const symbols = dataLoader.getSymbols();
+    if (args.target || args.exogenous || args.global) {
+        dataLoader.selectSeries({
+            target: args.target || symbols[0],
+            exogenous: args.exogenous ? args.exogenous.split(',').map(symbol => symbol.trim()).filter(Boolean) : [],
+            global: Boolean(args.global)
+        });
+    }
+
+    const report = dataLoader.cleanData(defined({ missing: args.missing, outliers: args.outliers }));
+    const tickers = symbols.length > 1 ? `, target ${dataLoader.targetSymbol} of ${symbols.join(', ')}` : '';
+    console.log(`Loaded ${report.rowsOut} rows from ${args.csv}${tickers} (${report.issues.length} data quality issue types)`);
+}
+
+/**
+ * Apply preprocessing options used for training a new model
+ * @param {Object} args - Parsed options
+ */
+function applyPreprocessingArgs(args) {
+    dataLoader.setWindow(
+        toNumber(args.lookback, 'lookback') ?? dataLoader.sequenceLength,
+        toNumber(args.horizon, 'horizon') ?? dataLoader.forecastDays
+    );
+    if (args.scaler) {
+        dataLoader.scalerType = args.scaler;
+    }
+    if (args.features !== undefined) {
+        featurePipeline.setEnabledFeatures(args.features.split(',').map(name => name.trim()).filter(Boolean));
+    }
+}
+
+/**
+ * Write an object as pretty JSON
+ * @param {string} file - Output path
+ * @param {*} data - JSON-serializable data
+ */
+async function writeJSON(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data, null, 2));
+    console.log(`Wrote ${file}`);
+}
+
+/**
+ * Write rows as CSV
+ * @param {string} file - Output path
+ * @param {Array} headers - Column names
+ * @param {Array} rows - Arrays of values in header order
+ */
+async function writeCSV(file, headers, rows) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, toCSV(headers, rows));
+    console.log(`Wrote ${file}`);
+}
+
+/**
+ * Save gruModel as model.json + weights.bin with its preprocessing state
+ * @param {string} dir - Model directory
+ */
+async function saveModel(dir) {
+    const artifacts = await gruModel.toArtifacts({
+        preprocessing: dataLoader.getPreprocessingState(),
+        savedAt: new Date().toISOString()
+    });
+    const weightData = Buffer.concat([].concat(artifacts.weightData).map(buffer => Buffer.from(buffer)));
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'weights.bin'), weightData);
+    await fs.writeFile(path.join(dir, 'model.json'), JSON.stringify({
+        modelTopology: artifacts.modelTopology,
+        format: artifacts.format,
+        generatedBy: artifacts.generatedBy,
+        convertedBy: artifacts.convertedBy,
+        userDefinedMetadata: artifacts.userDefinedMetadata,
+        weightsManifest: [{ paths: ['./weights.bin'], weights: artifacts.weightSpecs }]
+    }));
+    console.log(`Model saved to ${dir}`);
+}
+
+/**
+ * Load a model directory (CLI output or a browser download) into gruModel
+ * and restore its preprocessing state
+ * @param {string} dir - Model directory
+ * @returns {Promise<Object>} - Stored metadata
+ */
+async function loadModel(dir) {
+    const files = await fs.readdir(dir);
+    const jsonFile = files.find(file => file.endsWith('.json'));
+    if (!jsonFile) {
+        throw new Error(`No model .json file found in ${dir}`);
+    }
+
+    const modelJson = JSON.parse(await fs.readFile(path.join(dir, jsonFile), 'utf8'));
+    const manifest = modelJson.weightsManifest || [];
+    const weights = await Promise.all(
+        manifest.flatMap(group => group.paths).map(file => fs.readFile(path.join(dir, file)))
+    );
+    const weightData = Buffer.concat(weights);
+
+    const metadata = await gruModel.loadWeights(tf.io.fromMemory({
+        modelTopology: modelJson.modelTopology,
+        format: modelJson.format,
+        generatedBy: modelJson.generatedBy,
+        convertedBy: modelJson.convertedBy,
+        userDefinedMetadata: modelJson.userDefinedMetadata,
+        weightSpecs: manifest.flatMap(group => group.weights),
+        weightData: weightData.buffer.slice(weightData.byteOffset, weightData.byteOffset + weightData.byteLength)
+    }));
+    if (!metadata) {
+        throw new Error(`Could not load model from ${dir}`);
+    }
+
+    dataLoader.restorePreprocessingState(metadata.preprocessing);
+    return metadata;
+}
+
+/**
+ * Recompute features for the loaded data and check they match the model
+ */
+function buildModelFeatures() {
+    dataLoader.buildFeatures();
+    if (dataLoader.featureNames.length !== gruModel.inputShape[1]) {
+        throw new Error(`Model expects ${gruModel.inputShape[1]} features but the data has ${dataLoader.featureNames.length}`);
+    }
+}
+
+/**
+ * Score gruModel on the test split in price space
+ * @param {Object} datasets - Output of dataLoader.preprocessData()
+ * @returns {Object} - { metrics, summary, predicted, actual, labels }
+ */
+function evaluateTestSet(datasets) {
+    const output = gruModel.predict(datasets.X_test);
+    const predicted = output.arraySync().map((values, i) => dataLoader.denormalizeTarget(values, datasets.splitIndex + i));
+    const actual = datasets.y_test.arraySync().map((values, i) => dataLoader.denormalizeTarget(values, datasets.splitIndex + i));
+    output.dispose();
+
+    const metrics = horizonMetrics(predicted, actual);
+    const labels = predicted.map((_, i) => dataLoader.getTargetLabel(datasets.splitIndex + i, 1));
+
+    return { metrics, summary: summarizeMetrics(metrics), predicted, actual, labels };
+}
+
+/**
+ * Release dataset tensors
+ * @param {Object} datasets - Output of dataLoader.preprocessData()
+ */
+function disposeDatasets(datasets) {
+    ['X_train', 'y_train', 'X_test', 'y_test'].forEach(key => datasets[key].dispose());
+}
+
+const commands = {
+    async train(args) {
+        await loadData(args);
+        applyPreprocessingArgs(args);
+
+        const datasets = dataLoader.preprocessData();
+        const config = modelConfigFromArgs(args);
+
+        try {
+            gruModel.inputShape = [datasets.sequenceLength, datasets.featureNames.length];
+            gruModel.outputShape = datasets.forecastDays;
+            gruModel.buildModel(config);
+
+            // Early stopping watches a validation tail of the training samples, not the test set
+            const split = dataLoader.getValidationSplit(datasets, gruModel.config.validationFraction);
+            const startTime = Date.now();
+            try {
+                await gruModel.train(split.X_train, split.y_train, split.X_val, split.y_val, {
+                    onEpochEnd: (epoch, logs) => {
+                        console.log(`Epoch ${epoch + 1}/${gruModel.config.epochs}: loss=${logs.loss.toFixed(5)} val_loss=${logs.val_loss.toFixed(5)}`);
+                    }
+                }, config);
+            } finally {
+                Object.values(split).forEach(tensor => tensor.dispose());
+            }
+            console.log(`Training finished in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+
+            const evaluation = evaluateTestSet(datasets);
+            await saveModel(args.model);
+            await writeJSON(path.join(args.out, 'training-history.json'), gruModel.trainingHistory);
+            await writeJSON(path.join(args.out, 'metrics.json'), {
+                summary: evaluation.summary,
+                horizon: evaluation.metrics
+            });
+            console.log(`Test MAE $${evaluation.summary.mae.toFixed(2)}, RMSE $${evaluation.summary.rmse.toFixed(2)}, MAPE ${evaluation.summary.mape.toFixed(2)}%`);
+        } finally {
+            disposeDatasets(datasets);
+        }
+    },
+
+    async evaluate(args) {
+        await loadData(args);
+        await loadModel(args.model);
+        buildModelFeatures();
+
+        const datasets = dataLoader.preprocessData(dataLoader.scalers);
+        try {
+            const evaluation = evaluateTestSet(datasets);
+            const horizon = datasets.forecastDays;
+
+            await writeJSON(path.join(args.out, 'evaluation.json'), {
+                summary: evaluation.summary,
+                horizon: evaluation.metrics
+            });
+            await writeCSV(
+                path.join(args.out, 'test-predictions.csv'),
+                ['target', ...Array.from({ length: horizon }, (_, h) => [`predicted_${h + 1}`, `actual_${h + 1}`]).flat()],
+                evaluation.predicted.map((values, i) => [
+                    evaluation.labels[i],
+                    ...values.flatMap((value, h) => [value.toFixed(4), evaluation.actual[i][h].toFixed(4)])
+                ])
+            );
+            console.log(`Test MAE $${evaluation.summary.mae.toFixed(2)}, RMSE $${evaluation.summary.rmse.toFixed(2)}, MAPE ${evaluation.summary.mape.toFixed(2)}%`);
+        } finally {
+            disposeDatasets(datasets);
+        }
+    },
+
+    async forecast(args) {
+        await loadData(args);
+        await loadModel(args.model);
+
+        // Features and scalers come from the model; sequences are not needed
+        buildModelFeatures();
+
+        const days = toNumber(args.days, 'days') ?? dataLoader.forecastDays;
+        const latestWindow = dataLoader.getLatestWindow();
+        let intervals;
+        try {
+            intervals = gruModel.forecastWithIntervals(latestWindow, toNumber(args.samples, 'samples') ?? gruModel.config.mcSamples);
+        } finally {
+            latestWindow.dispose();
+        }
+
+        const predictions = await dataLoader.recursiveForecast(window => gruModel.forecast(window), days);
+        const bounds = {};
+        ['lower80', 'upper80', 'lower95', 'upper95'].forEach(key => {
+            bounds[key] = dataLoader.denormalizeTarget(intervals[key]);
+        });
+        const labels = dataLoader.getFutureLabels(days).map(label => label.replace(' (Pred)', ''));
+        const lastPrice = dataLoader.data[dataLoader.data.length - 1][dataLoader.targetColumn];
+
+        // Intervals only exist for the direct output head
+        const rows = predictions.map((price, i) => ({
+            day: i + 1,
+            label: labels[i],
+            price,
+            change: (price - lastPrice) / lastPrice * 100,
+            recursive: i >= dataLoader.forecastDays,
+            lower80: bounds.lower80[i] ?? null,
+            upper80: bounds.upper80[i] ?? null,
+            lower95: bounds.lower95[i] ?? null,
+            upper95: bounds.upper95[i] ?? null
+        }));
+
+        await writeJSON(path.join(args.out, 'forecast.json'), { lastPrice, generatedAt: new Date().toISOString(), forecast: rows });
+        await writeCSV(
+            path.join(args.out, 'forecast.csv'),
+            ['day', 'label', 'price', 'change_pct', 'recursive', 'lower80', 'upper80', 'lower95', 'upper95'],
+            rows.map(row => [row.day, row.label, row.price.toFixed(4), row.change.toFixed(3), row.recursive,
+                row.lower80?.toFixed(4), row.upper80?.toFixed(4), row.lower95?.toFixed(4), row.upper95?.toFixed(4)])
+        );
+        rows.forEach(row => console.log(`${row.label}: $${row.price.toFixed(2)} (${row.change >= 0 ? '+' : ''}${row.change.toFixed(2)}%)`));
+    },
+
+    async backtest(args) {
+        await loadData(args);
+        applyPreprocessingArgs(args);
+        disposeDatasets(dataLoader.preprocessData());
+
+        const results = await backtester.run(defined({
+            modelConfig: modelConfigFromArgs(args),
+            mode: args.mode,
+            windowSize: toNumber(args.window, 'window'),
+            stepSize: toNumber(args.step, 'step'),
+            refit: args.refit,
+            epochs: toNumber(args.epochs, 'epochs'),
+            onFoldEnd: (fold, foldCount) => console.log(`Fold ${fold + 1}/${foldCount} done`)
+        }));
+
+        await writeJSON(path.join(args.out, 'backtest.json'), {
+            config: results.config,
+            folds: results.folds,
+            horizon: results.metrics,
+            summary: summarizeMetrics(results.metrics)
+        });
+        await writeCSV(
+            path.join(args.out, 'backtest.csv'),
+            ['index', 'label', ...results.metrics.map(m => [`predicted_${m.day}`, `actual_${m.day}`]).flat()],
+            results.steps.map(step => [
+                step.index,
+                step.label,
+                ...step.predicted.flatMap((value, h) => [value.toFixed(4), step.actual[h].toFixed(4)])
+            ])
+        );
+    },
+
+    async update(args) {
+        if (!args.append) {
+            throw new Error('--append <file> is required');
+        }
+
+        await loadData(args);
+        await loadModel(args.model);
+        buildModelFeatures();
+
+        const added = {};
+        for (const file of args.append.split(',').map(name => name.trim()).filter(Boolean)) {
+            Object.entries(dataLoader.appendCSV(await fs.readFile(file, 'utf8'), path.basename(file))).forEach(([symbol, count]) => {
+                added[symbol] = (added[symbol] || 0) + count;
+            });
+        }
+        const total = Object.values(added).reduce((sum, count) => sum + count, 0);
+        console.log(`Appended ${total} rows (latest ${dataLoader.getDateLabel(dataLoader.data.length - 1)})`);
+        if (total === 0) {
+            return;
+        }
+
+        // The saved scalers stay unless asked otherwise, so old and new windows scale alike
+        const refitScaler = Boolean(args['refit-scaler']);
+        const datasets = dataLoader.preprocessData(refitScaler ? null : dataLoader.scalers);
+        const data = dataLoader.getRecentSequences(toNumber(args.windows, 'windows') ?? 60);
+        const tensors = {
+            X_train: tf.tensor3d(data.X_train),
+            y_train: tf.tensor2d(data.y_train),
+            X_val: tf.tensor3d(data.X_val),
+            y_val: tf.tensor2d(data.y_val)
+        };
+
+        try {
+            const before = gruModel.evaluate(tensors.X_val, tensors.y_val).loss;
+            const history = await gruModel.fineTune(tensors.X_train, tensors.y_train, tensors.X_val, tensors.y_val, {
+                onEpochEnd: (epoch, logs) => {
+                    console.log(`Epoch ${epoch + 1}: loss=${logs.loss.toFixed(5)} val_loss=${logs.val_loss.toFixed(5)}`);
+                }
+            }, defined({
+                epochs: toNumber(args.epochs, 'epochs') ?? 5,
+                learningRate: toNumber(args['learning-rate'], 'learning-rate')
+            }));
+            const after = gruModel.evaluate(tensors.X_val, tensors.y_val).loss;
+
+            await saveModel(args.model);
+            await writeJSON(path.join(args.out, 'update.json'), {
+                added,
+                windows: data.X_train.length,
+                epochs: history.epochs.length,
+                refitScaler,
+                valLossBefore: before,
+                valLossAfter: after
+            });
+            console.log(`Fine-tuned on ${data.X_train.length} windows: validation loss ${before.toFixed(5)} -> ${after.toFixed(5)}`);
+        } finally {
+            Object.values(tensors).forEach(tensor => tensor.dispose());
+            disposeDatasets(datasets);
+        }
+    }
+};
+
+async function main() {
+    const { values: args, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    const command = commands[positionals[0]];
+
+    if (args.help || !command) {
+        console.log(USAGE);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+
+    await loadModules();
+    await command(args);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
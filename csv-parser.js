@@ -0,0 +1,261 @@
+// csv-parser.js
+/**
+ * CSV Parser Module
+ * Quote-aware CSV tokenizer with delimiter, BOM, decimal-comma and date detection
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+const DATE_HEADER_PATTERN = /^(date|time|timestamp|datetime|day|дата)$/i;
+
+class CSVParser {
+    /**
+     * Split text into records, honouring quoted fields, escaped quotes ("")
+     * and newlines inside quotes
+     * @param {string} text - CSV content without BOM
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array} - { fields, line } per non-empty record
+     */
+    tokenize(text, delimiter) {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            fields.push(field);
+            if (fields.some(f => f.trim() !== '')) {
+                records.push({ fields: fields.map(f => f.trim()), line: recordLine });
+            }
+            fields = [];
+            field = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || fields.length > 0) {
+            endRecord();
+        }
+
+        return records;
+    }
+
+    /**
+     * Pick the delimiter that splits the first lines most consistently
+     * @param {string} text - CSV content
+     * @returns {string} - Detected delimiter (',' if nothing better)
+     */
+    detectDelimiter(text) {
+        const sample = text.slice(0, 10000);
+        let best = ',';
+        let bestScore = 0;
+
+        DELIMITERS.forEach(delimiter => {
+            const records = this.tokenize(sample, delimiter).slice(0, 20);
+            if (records.length === 0) return;
+
+            const counts = records.map(r => r.fields.length);
+            const columns = counts[0];
+            const consistent = counts.filter(c => c === columns).length / counts.length;
+            // More columns split consistently wins
+            const score = columns > 1 ? columns * consistent : 0;
+
+            if (score > bestScore) {
+                bestScore = score;
+                best = delimiter;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Parse a number, accepting decimal commas and thousands separators
+     * @param {string} value - Raw field
+     * @param {boolean} decimalComma - Treat a trailing comma group as decimals ("1234,56")
+     * @returns {number} - Parsed number or NaN
+     */
+    parseNumber(value, decimalComma = true) {
+        if (value === undefined || value === null) return NaN;
+
+        let text = String(value).trim().replace(/[\s$€£%]/g, '');
+        if (text === '') return NaN;
+
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+
+        if (lastComma > lastDot && decimalComma) {
+            // "1.234,56" or "1234,56": comma is the decimal separator
+            text = text.replace(/\./g, '').replace(',', '.');
+        } else if (lastComma >= 0) {
+            // "1,234.56": comma is a thousands separator
+            text = text.replace(/,/g, '');
+        }
+
+        return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text) ? parseFloat(text) : NaN;
+    }
+
+    /**
+     * Work out which date format a column uses
+     * @param {Array} values - Raw date strings
+     * @returns {string|null} - 'iso', 'compact', 'dmy-dot', 'dmy', 'mdy', 'text' or null
+     */
+    detectDateFormat(values) {
+        const sample = values.filter(v => v).slice(0, 200);
+        if (sample.length === 0) return null;
+
+        const share = (pattern) => sample.filter(v => pattern.test(v)).length / sample.length;
+
+        if (share(/^\d{4}[-/]\d{1,2}[-/]\d{1,2}([ T].*)?$/) > 0.9) return 'iso';
+        if (share(/^\d{8}$/) > 0.9) return 'compact';
+        if (share(/^\d{1,2}\.\d{1,2}\.\d{2,4}$/) > 0.9) return 'dmy-dot';
+
+        if (share(/^\d{1,2}[/-]\d{1,2}[/-]\d{2,4}$/) > 0.9) {
+            // Day-first if any first component cannot be a month
+            const dayFirst = sample.some(v => parseInt(v.split(/[/-]/)[0], 10) > 12);
+            return dayFirst ? 'dmy' : 'mdy';
+        }
+
+        if (share(/[a-z]/i) > 0.9 && sample.every(v => !isNaN(Date.parse(v)))) return 'text';
+
+        return null;
+    }
+
+    /**
+     * Parse a date string in a known format
+     * @param {string} value - Raw date
+     * @param {string} format - Format from detectDateFormat()
+     * @returns {Date|null} - UTC date or null if invalid
+     */
+    parseDate(value, format) {
+        if (!value) return null;
+
+        let year;
+        let month;
+        let day;
+
+        switch (format) {
+            case 'iso':
+                [year, month, day] = value.split(/[ T]/)[0].split(/[-/]/).map(Number);
+                break;
+            case 'compact':
+                year = Number(value.slice(0, 4));
+                month = Number(value.slice(4, 6));
+                day = Number(value.slice(6, 8));
+                break;
+            case 'dmy-dot':
+            case 'dmy':
+                [day, month, year] = value.split(/[./-]/).map(Number);
+                break;
+            case 'mdy':
+                [month, day, year] = value.split(/[/-]/).map(Number);
+                break;
+            case 'text': {
+                const parsed = new Date(value);
+                if (isNaN(parsed)) return null;
+                year = parsed.getFullYear();
+                month = parsed.getMonth() + 1;
+                day = parsed.getDate();
+                break;
+            }
+            default:
+                return null;
+        }
+
+        if (year < 100) year += year < 70 ? 2000 : 1900;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        // Reject rollovers such as 31/02
+        if (isNaN(date) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+
+        return date;
+    }
+
+    /**
+     * Parse CSV text into a header row and raw records
+     * @param {string} text - CSV content
+     * @returns {Object} - { headers, records, delimiter, hasHeader }
+     */
+    parse(text) {
+        // Strip a UTF-8 byte order mark
+        const content = text.replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(content);
+        const records = this.tokenize(content, delimiter);
+
+        if (records.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        // A header row has at least one field that is neither a number nor a date
+        const first = records[0].fields;
+        const hasHeader = first.some(f => isNaN(this.parseNumber(f)) && !this.detectDateFormat([f]));
+        const headers = hasHeader
+            ? first.map((h, i) => h || `Column ${i + 1}`)
+            : first.map((_, i) => `Column ${i + 1}`);
+
+        return {
+            headers,
+            records: hasHeader ? records.slice(1) : records,
+            delimiter,
+            hasHeader
+        };
+    }
+
+    /**
+     * Find the date column by header name, then by content
+     * @param {Array} headers - Column names
+     * @param {Array} records - Raw records
+     * @returns {Object|null} - { index, format } or null
+     */
+    findDateColumn(headers, records) {
+        const columnValues = (index) => records.slice(0, 200).map(r => r.fields[index]);
+
+        const byName = headers.findIndex(h => DATE_HEADER_PATTERN.test(h.trim()));
+        if (byName >= 0) {
+            const format = this.detectDateFormat(columnValues(byName));
+            if (format) return { index: byName, format };
+        }
+
+        for (let i = 0; i < headers.length; i++) {
+            const values = columnValues(i);
+            // Plain numbers (prices) are not dates, except the 8-digit compact form
+            if (values.every(v => !isNaN(this.parseNumber(v)) && !/^\d{8}$/.test(v))) continue;
+            const format = this.detectDateFormat(values);
+            if (format) return { index: i, format };
+        }
+
+        return null;
+    }
+}
+
+// Export singleton instance
+export const csvParser = new CSVParser();
@@ -0,0 +1,241 @@
+// data-cleaner.js
+/**
+ * Data Cleaning Module
+ * Validates parsed rows before preprocessing: missing and non-positive values,
+ * duplicated dates, calendar gaps and outliers, with a report of every action
+ */
+
+/**
+ * Default cleaning strategies
+ */
+export const DEFAULT_CLEANING_CONFIG = {
+    missing: 'interpolate', // 'drop', 'ffill' or 'interpolate'
+    outliers: 'flag', // 'none', 'flag' or 'winsorize'
+    outlierMethod: 'zscore', // 'zscore' or 'iqr'
+    zThreshold: 10, // Robust z-score above which a value is an outlier
+    iqrMultiplier: 5, // Tukey fence multiplier
+    outlierWindow: 11, // Centered rolling-median window used as the reference level
+    maxGapDays: 5 // Calendar days between rows before a gap is reported
+};
+
+// Columns that hold prices and must be strictly positive
+const PRICE_COLUMN_PATTERN = /^(open|high|low|close|adj close)$|price|value/i;
+
+/**
+ * Median of a numeric array (ignores NaN)
+ * @param {Array} values - Numbers
+ * @returns {number} - Median or NaN
+ */
+function median(values) {
+    const sorted = values.filter(v => !isNaN(v)).sort((a, b) => a - b);
+    if (sorted.length === 0) return NaN;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Quantile of a sorted array with linear interpolation
+ * @param {Array} sorted - Sorted numbers
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} - Quantile value
+ */
+function quantile(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+class DataCleaner {
+    constructor() {
+        this.config = { ...DEFAULT_CLEANING_CONFIG };
+        this.report = null;
+    }
+
+    /**
+     * Validate and clean rows
+     * @param {Array} rows - Parsed rows (not modified)
+     * @param {Array} columns - Numeric columns to check
+     * @param {Object} config - Overrides for DEFAULT_CLEANING_CONFIG
+     * @returns {Object} - { data, report }
+     */
+    clean(rows, columns, config = {}) {
+        this.config = { ...DEFAULT_CLEANING_CONFIG, ...config };
+        const report = {
+            config: { ...this.config },
+            rowsIn: rows.length,
+            rowsOut: 0,
+            issues: [] // { type, column, count, action, examples }
+        };
+        const addIssue = (type, column, indices, action, data) => {
+            if (indices.length === 0) return;
+            report.issues.push({
+                type,
+                column,
+                count: indices.length,
+                action,
+                examples: indices.slice(0, 5).map(i => (data[i] && data[i].Date) || `Row ${i + 1}`)
+            });
+        };
+
+        let data = rows.map(row => ({ ...row }));
+
+        // 1. Duplicated dates: keep the last occurrence
+        if (data.length > 0 && data[0].Date) {
+            const lastIndex = new Map();
+            data.forEach((row, i) => lastIndex.set(row.Date, i));
+            const duplicates = data.map((row, i) => i).filter(i => lastIndex.get(data[i].Date) !== i);
+            addIssue('Duplicate date', 'Date', duplicates, 'Kept last occurrence', data);
+            data = data.filter((row, i) => lastIndex.get(row.Date) === i);
+        }
+
+        // 2. Non-positive prices are invalid and treated as missing
+        columns.filter(col => PRICE_COLUMN_PATTERN.test(col)).forEach(col => {
+            const invalid = data.map((row, i) => i).filter(i => data[i][col] <= 0);
+            addIssue('Non-positive price', col, invalid, 'Treated as missing', data);
+            invalid.forEach(i => { data[i][col] = NaN; });
+        });
+
+        // 3. Missing values
+        columns.forEach(col => {
+            const missing = data.map((row, i) => i).filter(i => !Number.isFinite(data[i][col]));
+            if (missing.length === 0) return;
+
+            if (this.config.missing === 'drop') {
+                addIssue('Missing value', col, missing, 'Row dropped', data);
+                const drop = new Set(missing);
+                data = data.filter((row, i) => !drop.has(i));
+            } else {
+                const filled = this.fillMissing(data, col, this.config.missing);
+                addIssue('Missing value', col, missing,
+                    this.config.missing === 'ffill' ? 'Forward-filled' : 'Linearly interpolated', data);
+                // Leading gaps cannot be filled and are dropped
+                if (filled.unfillable.length > 0) {
+                    const drop = new Set(filled.unfillable);
+                    data = data.filter((row, i) => !drop.has(i));
+                }
+            }
+        });
+
+        // 4. Outliers relative to a rolling median
+        if (this.config.outliers !== 'none') {
+            columns.forEach(col => {
+                const { indices, bounds } = this.detectOutliers(data.map(row => row[col]));
+                if (indices.length === 0) return;
+
+                if (this.config.outliers === 'winsorize') {
+                    indices.forEach(i => {
+                        data[i][col] = Math.min(Math.max(data[i][col], bounds[i].lower), bounds[i].upper);
+                    });
+                    addIssue(`Outlier (${this.config.outlierMethod})`, col, indices, 'Winsorized to threshold', data);
+                } else {
+                    addIssue(`Outlier (${this.config.outlierMethod})`, col, indices, 'Flagged only', data);
+                }
+            });
+        }
+
+        // 5. Calendar gaps (reported, not filled)
+        if (data.length > 1 && data[0].Date) {
+            const gaps = [];
+            for (let i = 1; i < data.length; i++) {
+                const days = (new Date(data[i].Date) - new Date(data[i - 1].Date)) / 86400000;
+                if (days > this.config.maxGapDays) gaps.push(i);
+            }
+            addIssue(`Gap > ${this.config.maxGapDays} days`, 'Date', gaps, 'Reported only', data);
+        }
+
+        report.rowsOut = data.length;
+        this.report = report;
+
+        console.log(`Data cleaning: ${report.rowsIn} -> ${report.rowsOut} rows, ${report.issues.length} issue types`, report.issues);
+
+        return { data, report };
+    }
+
+    /**
+     * Fill NaN values of a column in place
+     * @param {Array} data - Rows
+     * @param {string} col - Column name
+     * @param {string} strategy - 'ffill' or 'interpolate'
+     * @returns {Object} - { unfillable } indices of leading rows without a prior value
+     */
+    fillMissing(data, col, strategy) {
+        const unfillable = [];
+        let lastValid = -1;
+
+        for (let i = 0; i < data.length; i++) {
+            if (Number.isFinite(data[i][col])) {
+                if (strategy === 'interpolate' && lastValid >= 0 && i - lastValid > 1) {
+                    const start = data[lastValid][col];
+                    const step = (data[i][col] - start) / (i - lastValid);
+                    for (let j = lastValid + 1; j < i; j++) {
+                        data[j][col] = start + step * (j - lastValid);
+                    }
+                }
+                lastValid = i;
+            } else if (lastValid < 0) {
+                unfillable.push(i);
+            } else if (strategy === 'ffill') {
+                data[i][col] = data[lastValid][col];
+            }
+        }
+
+        // Trailing gaps have no later value to interpolate toward: carry forward
+        if (strategy === 'interpolate' && lastValid >= 0) {
+            for (let j = lastValid + 1; j < data.length; j++) {
+                data[j][col] = data[lastValid][col];
+            }
+        }
+
+        return { unfillable };
+    }
+
+    /**
+     * Detect outliers as large relative deviations from a centered rolling median,
+     * so the threshold holds across price levels that grow over the years
+     * @param {Array} values - Column values
+     * @returns {Object} - { indices, bounds } where bounds[i] = { lower, upper }
+     */
+    detectOutliers(values) {
+        const half = Math.floor(this.config.outlierWindow / 2);
+        const reference = values.map((_, i) =>
+            median(values.slice(Math.max(0, i - half), i + half + 1))
+        );
+        const residuals = values.map((v, i) => (v - reference[i]) / (Math.abs(reference[i]) || 1));
+        const sorted = residuals.filter(r => !isNaN(r)).sort((a, b) => a - b);
+
+        if (sorted.length < 4) {
+            return { indices: [], bounds: [] };
+        }
+
+        let lower;
+        let upper;
+        if (this.config.outlierMethod === 'iqr') {
+            const q1 = quantile(sorted, 0.25);
+            const q3 = quantile(sorted, 0.75);
+            const iqr = q3 - q1;
+            lower = q1 - this.config.iqrMultiplier * iqr;
+            upper = q3 + this.config.iqrMultiplier * iqr;
+        } else {
+            // Robust z-score: scale by the median absolute deviation
+            const center = quantile(sorted, 0.5);
+            const mad = median(sorted.map(r => Math.abs(r - center))) * 1.4826 || 1e-12;
+            lower = center - this.config.zThreshold * mad;
+            upper = center + this.config.zThreshold * mad;
+        }
+
+        const indices = [];
+        const bounds = reference.map(ref => {
+            const scale = Math.abs(ref) || 1;
+            return { lower: ref + lower * scale, upper: ref + upper * scale };
+        });
+        residuals.forEach((r, i) => {
+            if (r < lower || r > upper) indices.push(i);
+        });
+
+        return { indices, bounds };
+    }
+}
+
+// Export singleton instance
+export const dataCleaner = new DataCleaner();
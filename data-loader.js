@@ -0,0 +1,1335 @@
+// data-loader.js
+/**
+ * Data Loader Module for S&P 500 Index
+ * Handles CSV parsing, normalization, and dataset preparation
+ */
+
+import { featurePipeline } from './features.js';
+import { csvParser } from './csv-parser.js';
+import { dataCleaner } from './data-cleaner.js';
+import { createScaler, scalerSupports, serializeScalers, deserializeScalers } from './scalers.js';
+
+// Canonical names for common OHLCV headers
+const COLUMN_ALIASES = {
+    'date': 'Date',
+    'open': 'Open',
+    'high': 'High',
+    'low': 'Low',
+    'close': 'Close',
+    'adj close': 'Adj Close',
+    'adj_close': 'Adj Close',
+    'adjclose': 'Adj Close',
+    'volume': 'Volume',
+    'vol': 'Volume'
+};
+
+// Price columns that follow the predicted close in recursive forecasts
+const PRICE_COLUMNS = ['Open', 'High', 'Low', 'Close', 'Adj Close'];
+
+// Column naming the ticker in long-format files (one row per date and symbol)
+const SYMBOL_HEADER_PATTERN = /^(symbol|ticker|asset|instrument)$/i;
+
+class DataLoader {
+    constructor() {
+        this.data = null;
+        this.featureColumns = [];
+        this.targetColumn = 'Close'; // S&P 500 closing price
+        this.sequenceLength = 60; // 60-day window
+        this.forecastDays = 5; // Predict next 5 days
+        this.trainTestSplit = 0.8;
+        this.scalerType = 'minmax'; // Key of SCALER_TYPES
+        this.scalers = {}; // 'target' and 'feature_i' -> scaler fitted on the training rows
+        this.parseReport = null; // Delimiter, date column and skipped rows from the last parse
+        this.rawData = null; // Rows as parsed, before cleaning
+        this.qualityReport = null; // Issues found and actions taken by cleanData()
+        this.featureNames = []; // Raw feature columns plus derived features
+        this.featureSeries = {}; // Feature name -> values aligned with this.data
+        this.dataOffset = 0; // Rows skipped before the first sequence (feature warm-up)
+        this.allSequences = null; // Unsplit { X, y, anchors } arrays for walk-forward evaluation
+        this.sequenceSource = null; // Unscaled { features, target } the sequences were built from
+        this.series = {}; // Symbol -> parsed rows, one entry per ticker loaded
+        this.seriesColumns = {}; // Symbol -> raw feature columns found for it
+        this.targetSymbol = null; // Ticker the model forecasts
+        this.exogenousSymbols = []; // Tickers whose closes are added as input features
+        this.globalTraining = false; // Pool training samples from every other loaded ticker
+        this.cleaningConfig = null; // Strategies of the last cleanData() call
+        this.appendWarnings = []; // Repeated rows noticed by the last appendRows() call
+    }
+
+    /**
+     * Load and parse CSV file from file input
+     * @param {File} file - CSV file object
+     * @returns {Promise<Array>} - Parsed data array
+     */
+    async loadCSV(file) {
+        return this.loadCSVFiles(file ? [file] : []);
+    }
+
+    /**
+     * Load one or more CSV files. Each file holds one ticker (named after the
+     * file) or several in long format with a Symbol column.
+     * @param {Array} files - CSV File objects
+     * @returns {Promise<Array>} - Rows of the selected target series
+     */
+    async loadCSVFiles(files) {
+        const fileList = Array.from(files || []);
+        if (fileList.length === 0) {
+            throw new Error('No file provided');
+        }
+
+        const readText = file => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+            reader.readAsText(file);
+        });
+
+        try {
+            const sources = [];
+            for (const file of fileList) {
+                sources.push({ name: file.name, text: await readText(file) });
+            }
+            this.parseSources(sources);
+            console.log(`Loaded ${this.data.length} rows with features: ${this.featureColumns.join(', ')}`);
+            return this.data;
+        } catch (error) {
+            console.error('CSV parsing error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse CSV data and extract features
+     * @param {string} csvText - CSV content
+     * @param {string} name - File name, used as the symbol of a single-ticker file
+     */
+    parseCSV(csvText, name = null) {
+        this.parseSources([{ name, text: csvText }]);
+    }
+
+    /**
+     * Parse several CSV texts into one set of series and select the first as target
+     * @param {Array} sources - { name, text } per file
+     */
+    parseSources(sources) {
+        const series = {};
+        const seriesColumns = {};
+        const reports = [];
+
+        sources.forEach(({ name, text }) => {
+            const parsed = this.parseSeries(text, name);
+            Object.entries(parsed.series).forEach(([symbol, rows]) => {
+                // Same symbol in two files: keep both apart rather than mixing rows
+                let key = symbol;
+                for (let n = 2; series[key]; n++) {
+                    key = `${symbol} (${n})`;
+                }
+                series[key] = rows;
+                seriesColumns[key] = parsed.featureColumns;
+            });
+            reports.push(parsed.report);
+        });
+
+        const symbols = Object.keys(series);
+        if (symbols.length > 1 && symbols.some(symbol => !series[symbol][0].Date)) {
+            throw new Error('Several tickers need a Date column to be aligned');
+        }
+
+        this.series = series;
+        this.seriesColumns = seriesColumns;
+        this.parseReport = reports.length === 1 ? reports[0] : {
+            ...reports[0],
+            totalRows: reports.reduce((sum, r) => sum + r.totalRows, 0),
+            validRows: reports.reduce((sum, r) => sum + r.validRows, 0),
+            skipped: reports.flatMap(r => r.skipped.map(s => ({ ...s, reason: `${r.source}: ${s.reason}` }))),
+            sorted: reports.some(r => r.sorted)
+        };
+        this.parseReport.symbols = symbols;
+
+        this.selectSeries({ target: symbols[0] });
+    }
+
+    /**
+     * Parse one CSV text into rows per symbol
+     * @param {string} csvText - CSV content
+     * @param {string} name - File name, used as the symbol of a single-ticker file
+     * @returns {Object} - { series, featureColumns, report } with series mapping symbol -> rows
+     */
+    parseSeries(csvText, name = null) {
+        console.log(`Parsing CSV data${name ? ` from ${name}` : ''}...`);
+        
+        const { headers: rawHeaders, records, delimiter, hasHeader } = csvParser.parse(csvText);
+        const headers = rawHeaders.map(h => COLUMN_ALIASES[h.trim().toLowerCase()] || h.trim());
+        const decimalComma = delimiter !== ',';
+        
+        if (records.length === 0) {
+            throw new Error('CSV file is empty or has only headers');
+        }
+        
+        // Date column by name or content
+        const dateColumn = csvParser.findDateColumn(headers, records);
+        if (dateColumn) {
+            headers[dateColumn.index] = 'Date';
+        }
+        
+        // Long format: a Symbol column splits the rows into one series per ticker
+        const symbolIndex = headers.findIndex((h, i) =>
+            SYMBOL_HEADER_PATTERN.test(h) && !(dateColumn && i === dateColumn.index)
+        );
+        
+        // Numeric columns: most sampled values parse as numbers
+        const sample = records.slice(0, 200);
+        const numericColumns = headers.filter((h, i) => {
+            if (dateColumn && i === dateColumn.index) return false;
+            if (i === symbolIndex) return false;
+            const parsed = sample.filter(r => !isNaN(csvParser.parseNumber(r.fields[i], decimalComma)));
+            return parsed.length / sample.length > 0.5;
+        });
+        
+        if (numericColumns.length === 0) {
+            throw new Error('No numeric price column found in CSV');
+        }
+        
+        // Pick the column that feeds the target (Close), e.g. "^GSPC" in single-column files
+        const isPriceLike = h => /price|close|value/i.test(h);
+        const targetSource = numericColumns.includes(this.targetColumn)
+            ? this.targetColumn
+            : (numericColumns.find(isPriceLike) || numericColumns[0]);
+        if (targetSource !== this.targetColumn) {
+            console.log(`Using column "${targetSource}" as ${this.targetColumn}`);
+            headers[headers.indexOf(targetSource)] = this.targetColumn;
+            numericColumns[numericColumns.indexOf(targetSource)] = this.targetColumn;
+        }
+        
+        // Target first, then any other price-like columns
+        const featureColumns = [
+            this.targetColumn,
+            ...numericColumns.filter(h => h !== this.targetColumn && h !== 'Date' && isPriceLike(h))
+        ];
+        
+        console.log('Feature columns identified:', featureColumns);
+        
+        const report = {
+            source: name || 'CSV',
+            delimiter: delimiter === '\t' ? 'tab' : delimiter,
+            hasHeader,
+            decimalComma,
+            targetSource,
+            dateColumn: dateColumn ? rawHeaders[dateColumn.index] : null,
+            dateFormat: dateColumn ? dateColumn.format : null,
+            symbolColumn: symbolIndex >= 0 ? rawHeaders[symbolIndex] : null,
+            totalRows: records.length,
+            validRows: 0,
+            skipped: [], // { line, reason }
+            sorted: false
+        };
+        
+        // Parse data rows, grouped by symbol in long-format files
+        // A lone ticker column such as "^GSPC" names the series better than the file does
+        const fileSymbol = targetSource !== this.targetColumn && !isPriceLike(targetSource)
+            ? targetSource
+            : (name ? name.replace(/\.[^.]+$/, '') : 'Series');
+        const series = {};
+        records.forEach(({ fields, line }) => {
+            if (fields.length !== headers.length) {
+                report.skipped.push({ line, reason: `Expected ${headers.length} fields, found ${fields.length}` });
+                return;
+            }
+            
+            const row = {};
+            headers.forEach((header, index) => {
+                if (dateColumn && index === dateColumn.index) return;
+                if (index === symbolIndex) return;
+                const numVal = csvParser.parseNumber(fields[index], decimalComma);
+                // Use numeric value for numeric columns, otherwise keep the string
+                row[header] = numericColumns.includes(header) ? numVal : fields[index];
+            });
+            
+            if (dateColumn) {
+                const date = csvParser.parseDate(fields[dateColumn.index], dateColumn.format);
+                if (!date) {
+                    report.skipped.push({ line, reason: `Invalid date "${fields[dateColumn.index]}"` });
+                    return;
+                }
+                row.Date = date.toISOString().split('T')[0];
+            }
+            
+            const symbol = symbolIndex >= 0 ? fields[symbolIndex] : fileSymbol;
+            if (!symbol) {
+                report.skipped.push({ line, reason: 'Missing symbol' });
+                return;
+            }
+            
+            // Missing numeric values stay NaN; cleanData() decides how to handle them
+            (series[symbol] = series[symbol] || []).push(row);
+        });
+        
+        // Sort chronologically (stable, so same-day rows keep file order)
+        Object.values(series).forEach(rows => {
+            if (dateColumn && rows.some((row, i) => i > 0 && row.Date < rows[i - 1].Date)) {
+                rows.sort((a, b) => (a.Date < b.Date ? -1 : a.Date > b.Date ? 1 : 0));
+                report.sorted = true;
+            }
+        });
+        if (report.sorted) {
+            console.log('Rows were not in chronological order and have been sorted');
+        }
+        
+        report.validRows = Object.values(series).reduce((sum, rows) => sum + rows.length, 0);
+        if (report.validRows === 0) {
+            throw new Error('No valid data rows found in CSV');
+        }
+        
+        console.log(`Parsed ${report.validRows} data rows for ${Object.keys(series).join(', ')}, skipped ${report.skipped.length}`, report);
+        
+        return { series, featureColumns, report };
+    }
+
+    /**
+     * Loaded tickers
+     * @returns {Array} - Symbols in load order
+     */
+    getSymbols() {
+        return Object.keys(this.series);
+    }
+
+    /**
+     * Name of the feature column holding an exogenous ticker's price
+     * @param {string} symbol - Exogenous ticker
+     * @returns {string} - Column name
+     */
+    exogenousColumn(symbol) {
+        return `${symbol} ${this.targetColumn}`;
+    }
+
+    /**
+     * Choose the target ticker, the tickers used as exogenous features and
+     * whether a global model pools training samples from the remaining tickers.
+     * Rebuilds the raw rows; call cleanData() and preprocessData() afterwards.
+     * @param {Object} selection - Series selection
+     * @param {string} selection.target - Ticker to forecast
+     * @param {Array} selection.exogenous - Tickers whose prices become input features
+     * @param {boolean} selection.global - Also train on every other loaded ticker
+     */
+    selectSeries({ target, exogenous = [], global = false }) {
+        if (!this.series[target]) {
+            throw new Error(`Unknown ticker: ${target}`);
+        }
+        
+        const unknown = exogenous.find(symbol => !this.series[symbol]);
+        if (unknown) {
+            throw new Error(`Unknown ticker: ${unknown}`);
+        }
+        
+        this.targetSymbol = target;
+        this.exogenousSymbols = exogenous.filter(symbol => symbol !== target);
+        this.featureColumns = [
+            ...this.seriesColumns[target],
+            ...this.exogenousSymbols.map(symbol => this.exogenousColumn(symbol))
+        ];
+        this.globalTraining = global;
+        
+        if (global && this.getTrainingSymbols().length === 0) {
+            console.warn('No other tickers with matching columns to train a global model on');
+        }
+        
+        const rows = this.buildSeriesRows(target);
+        if (rows.length === 0) {
+            throw new Error(`${target} has no dates in common with ${this.exogenousSymbols.join(', ')}`);
+        }
+        
+        this.rawData = rows;
+        this.data = rows;
+        this.qualityReport = null;
+    }
+
+    /**
+     * Rows of one ticker with the exogenous tickers' prices joined on date.
+     * Rows outside the dates every series covers are dropped; gaps inside that
+     * range stay NaN for cleanData() to fill.
+     * @param {string} symbol - Ticker
+     * @returns {Array} - New row objects
+     */
+    buildSeriesRows(symbol) {
+        const exogenous = this.exogenousSymbols.filter(exo => exo !== symbol);
+        let rows = this.series[symbol].map(row => ({ ...row }));
+        
+        exogenous.forEach(exo => {
+            const prices = new Map(this.series[exo].map(row => [row.Date, row[this.targetColumn]]));
+            const first = this.series[exo][0].Date;
+            const last = this.series[exo][this.series[exo].length - 1].Date;
+            const column = this.exogenousColumn(exo);
+            
+            rows = rows.filter(row => row.Date >= first && row.Date <= last);
+            rows.forEach(row => {
+                row[column] = prices.has(row.Date) ? prices.get(row.Date) : NaN;
+            });
+        });
+        
+        return rows;
+    }
+
+    /**
+     * Tickers a global model trains on besides the target: every loaded ticker
+     * that is not an exogenous feature and has the target's raw columns
+     * @returns {Array} - Symbols
+     */
+    getTrainingSymbols() {
+        if (!this.targetSymbol) {
+            return [];
+        }
+        
+        const columns = this.seriesColumns[this.targetSymbol];
+        return this.getSymbols().filter(symbol =>
+            symbol !== this.targetSymbol &&
+            !this.exogenousSymbols.includes(symbol) &&
+            columns.every(col => this.seriesColumns[symbol].includes(col))
+        );
+    }
+
+    /**
+     * Append the rows of an update CSV to the loaded series. Rows for a ticker
+     * that is not loaded are ignored, except that a file holding one unknown
+     * series (e.g. pasted rows) updates the target.
+     * @param {string} csvText - CSV content
+     * @param {string} name - File name, used as the symbol of a single-ticker file
+     * @returns {Object} - Symbol -> number of rows added
+     */
+    appendCSV(csvText, name = null) {
+        const { series } = this.parseSeries(csvText, name);
+        const symbols = Object.keys(series);
+        const updates = {};
+        
+        symbols.forEach(symbol => {
+            const key = this.series[symbol] ? symbol : (symbols.length === 1 ? this.targetSymbol : null);
+            if (!key) {
+                console.warn(`Ignoring rows for ${symbol}: ticker not loaded`);
+                return;
+            }
+            updates[key] = [...(updates[key] || []), ...series[symbol]];
+        });
+        
+        return this.appendRows(updates);
+    }
+
+    /**
+     * Append new observations and rebuild the selected rows. New rows must be
+     * dated exactly when the series is. With dates, only rows after a series'
+     * last date are added; without them, leading rows that repeat the series'
+     * last rows are dropped (see appendWarnings). Columns a new row lacks are
+     * filled the way forecast rows are (prices from its close, the rest carried forward).
+     * @param {Object} updates - Symbol -> new rows
+     * @returns {Object} - Symbol -> number of rows added
+     */
+    appendRows(updates) {
+        if (!this.targetSymbol) {
+            throw new Error('No data loaded');
+        }
+        
+        // Check every update before touching any series
+        Object.entries(updates).forEach(([symbol, rows]) => {
+            const series = this.series[symbol];
+            if (!series) {
+                throw new Error(`Unknown ticker: ${symbol}`);
+            }
+            
+            const dated = Boolean(series[series.length - 1].Date);
+            if (rows.some(row => Boolean(row.Date) !== dated)) {
+                throw new Error(dated
+                    ? `${symbol} is dated: every new row needs a date`
+                    : `${symbol} has no dates: new rows cannot have one`);
+            }
+        });
+        
+        const added = {};
+        this.appendWarnings = [];
+        Object.entries(updates).forEach(([symbol, rows]) => {
+            const series = this.series[symbol];
+            const lastDate = series[series.length - 1].Date;
+            let fresh = rows;
+            if (lastDate) {
+                fresh = rows.filter(row => row.Date > lastDate)
+                    .sort((a, b) => (a.Date < b.Date ? -1 : a.Date > b.Date ? 1 : 0));
+            } else {
+                // A single match may just be an unchanged close, so only longer overlaps are dropped
+                const repeated = this.countRepeatedRows(series, rows);
+                if (repeated > 1) {
+                    fresh = rows.slice(repeated);
+                    this.appendWarnings.push(`${symbol}: skipped ${repeated} rows that repeat the last loaded rows`);
+                } else if (repeated === 1) {
+                    this.appendWarnings.push(`${symbol}: the first new row repeats the last loaded row`);
+                }
+            }
+            
+            fresh.forEach(row => {
+                const filled = this.createForecastRow(series[series.length - 1], row[this.targetColumn]);
+                Object.entries(row).forEach(([col, value]) => {
+                    if (col === 'Date' || Number.isFinite(value)) {
+                        filled[col] = value;
+                    }
+                });
+                series.push(filled);
+            });
+            added[symbol] = fresh.length;
+        });
+        
+        if (Object.values(added).some(count => count > 0)) {
+            this.selectSeries({
+                target: this.targetSymbol,
+                exogenous: this.exogenousSymbols,
+                global: this.globalTraining
+            });
+            if (this.cleaningConfig) {
+                this.cleanData(this.cleaningConfig);
+            }
+        }
+        
+        this.appendWarnings.forEach(warning => console.warn(warning));
+        console.log('Appended rows:', added);
+        return added;
+    }
+
+    /**
+     * Number of leading new rows that repeat the end of a series. Without dates
+     * this is the only sign that an update overlaps the rows already loaded.
+     * @param {Array} series - Loaded rows of one ticker, oldest first
+     * @param {Array} rows - New rows, oldest first
+     * @returns {number} - Length of the longest overlap (0 if none)
+     */
+    countRepeatedRows(series, rows) {
+        const matches = (row, loaded) => Object.entries(row).every(([col, value]) => loaded[col] === value);
+        
+        for (let count = Math.min(rows.length, series.length); count > 0; count--) {
+            const tail = series.slice(-count);
+            if (rows.slice(0, count).every((row, i) => matches(row, tail[i]))) {
+                return count;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Validate and clean the parsed rows before preprocessing
+     * @param {Object} config - Cleaning strategies (see DEFAULT_CLEANING_CONFIG)
+     * @returns {Object} - Data quality report
+     */
+    cleanData(config = {}) {
+        if (!this.rawData || this.rawData.length === 0) {
+            throw new Error('No data loaded');
+        }
+        
+        const { data, report } = this.cleanRows(this.rawData, config);
+        
+        if (data.length === 0) {
+            throw new Error('No rows left after data cleaning');
+        }
+        
+        this.data = data;
+        this.qualityReport = report;
+        this.cleaningConfig = config;
+        
+        return report;
+    }
+
+    /**
+     * Run the data cleaner over every numeric column of a set of rows
+     * @param {Array} rows - Parsed rows (not modified)
+     * @param {Object} config - Cleaning strategies (see DEFAULT_CLEANING_CONFIG)
+     * @returns {Object} - { data, report }
+     */
+    cleanRows(rows, config) {
+        const columns = Object.keys(rows[0]).filter(col => 
+            col !== 'Date' && typeof rows[0][col] === 'number'
+        );
+        return dataCleaner.clean(rows, columns, config);
+    }
+
+    /**
+     * Index in the target's loaded series of a row of this.data. Cleaning can
+     * drop rows, so dated rows are looked up by date and dateless rows are
+     * counted back from the end of the series.
+     * @param {number} rowIndex - Index into this.data
+     * @returns {number} - Index into this.series[this.targetSymbol]
+     */
+    getSeriesIndex(rowIndex) {
+        const series = this.series[this.targetSymbol];
+        const date = this.data[rowIndex].Date;
+        if (date) {
+            return series.findIndex(row => row.Date === date);
+        }
+        return rowIndex + series.length - this.data.length;
+    }
+
+    /**
+     * Whether the loaded rows carry real dates
+     * @returns {boolean} - True if a Date column was detected
+     */
+    hasDates() {
+        return Boolean(this.data && this.data.length > 0 && this.data[0].Date);
+    }
+
+    /**
+     * Chart label for a data row: its date, or the row number for dateless files
+     * @param {number} rowIndex - Index into this.data
+     * @returns {string} - Label
+     */
+    getDateLabel(rowIndex) {
+        if (this.hasDates() && rowIndex < this.data.length) {
+            return this.data[rowIndex].Date;
+        }
+        return `Day ${rowIndex + 1}`;
+    }
+
+    /**
+     * Labels for days after the last loaded row (weekdays only when dates exist)
+     * @param {number} count - Number of future days
+     * @returns {Array} - Labels
+     */
+    getFutureLabels(count) {
+        const labels = [];
+        
+        if (!this.hasDates()) {
+            for (let i = 0; i < count; i++) {
+                labels.push(`Day ${this.data.length + i + 1} (Pred)`);
+            }
+            return labels;
+        }
+        
+        const date = new Date(`${this.data[this.data.length - 1].Date}T00:00:00Z`);
+        while (labels.length < count) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            // Skip weekends
+            if (date.getUTCDay() !== 0 && date.getUTCDay() !== 6) {
+                labels.push(`${date.toISOString().split('T')[0]} (Pred)`);
+            }
+        }
+        
+        return labels;
+    }
+
+    /**
+     * Generate sample CSV data for S&P 500
+     * @returns {string} - Sample CSV content
+     */
+    generateSampleCSV() {
+        // Generate realistic S&P 500 data (last 1000 trading days)
+        let startPrice = 4000;
+        let volatility = 0.015;
+        let drift = 0.0001;
+        
+        let csvContent = "Date,Open,High,Low,Close,Volume\n";
+        
+        let currentDate = new Date();
+        currentDate.setDate(currentDate.getDate() - 1000);
+        
+        for (let i = 0; i < 1000; i++) {
+            const dateStr = currentDate.toISOString().split('T')[0];
+            const open = startPrice;
+            
+            // Generate price movement
+            const dailyReturn = (Math.random() - 0.5) * 2 * volatility + drift;
+            const close = open * (1 + dailyReturn);
+            const high = Math.max(open, close) * (1 + Math.random() * 0.01);
+            const low = Math.min(open, close) * (1 - Math.random() * 0.01);
+            const volume = Math.floor(Math.random() * 1000000) + 500000;
+            
+            csvContent += `${dateStr},${open.toFixed(2)},${high.toFixed(2)},${low.toFixed(2)},${close.toFixed(2)},${volume}\n`;
+            
+            startPrice = close;
+            currentDate.setDate(currentDate.getDate() + 1);
+            
+            // Skip weekends
+            if (currentDate.getDay() === 0) currentDate.setDate(currentDate.getDate() + 1);
+            if (currentDate.getDay() === 6) currentDate.setDate(currentDate.getDate() + 2);
+        }
+        
+        return csvContent;
+    }
+
+    /**
+     * Download sample CSV file
+     */
+    downloadSampleCSV() {
+        const csvContent = this.generateSampleCSV();
+        const blob = new Blob([csvContent], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'sp500_sample_data.csv';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        console.log('Sample CSV downloaded');
+    }
+
+    /**
+     * Preprocess data for model training
+     * @param {Object} fittedScalers - Scalers to reuse (e.g. from a loaded model) instead of fitting new ones
+     * @returns {Object} - Processed datasets
+     */
+    preprocessData(fittedScalers = null) {
+        if (!this.data || this.data.length === 0) {
+            throw new Error('No data loaded');
+        }
+
+        console.log(`Preprocessing ${this.data.length} data points...`);
+        
+        if (this.data.some(row => !Number.isFinite(row[this.targetColumn]))) {
+            throw new Error(`Data contains missing ${this.targetColumn} values. Run cleanData() first.`);
+        }
+
+        // Extract raw and engineered features, dropping indicator warm-up rows
+        const offset = this.buildFeatures();
+        this.dataOffset = offset;
+        const features = this.featureNames.map(name => 
+            this.featureSeries[name].slice(offset)
+        );
+        
+        const target = this.data.slice(offset).map(row => row[this.targetColumn]);
+
+        console.log(`Features shape: ${features.length} x ${features[0].length} (${this.featureNames.join(', ')})`);
+        console.log(`Target shape: ${target.length}`);
+
+        this.sequenceSource = { features, target };
+
+        // Create sequences for multi-day prediction, scaled on the training split only
+        return this.createMultiDaySequences(features, target, fittedScalers);
+    }
+
+    /**
+     * Set the lookback window and forecast horizon
+     * @param {number} sequenceLength - Days of history per input window
+     * @param {number} forecastDays - Days predicted by the model's output head
+     */
+    setWindow(sequenceLength, forecastDays) {
+        if (!Number.isInteger(sequenceLength) || sequenceLength < 2) {
+            throw new Error('Lookback window must be an integer of at least 2 days');
+        }
+        if (!Number.isInteger(forecastDays) || forecastDays < 1) {
+            throw new Error('Forecast horizon must be an integer of at least 1 day');
+        }
+        
+        this.sequenceLength = sequenceLength;
+        this.forecastDays = forecastDays;
+    }
+
+    /**
+     * Raw feature columns plus engineered features for a set of rows
+     * @param {Array} rows - Data rows
+     * @returns {Object} - Feature name -> values aligned with rows
+     */
+    computeFeatureSeries(rows) {
+        const columns = Object.keys(rows[0]).filter(col => 
+            typeof rows[0][col] === 'number'
+        );
+        
+        const series = {};
+        this.featureColumns.forEach(col => {
+            series[col] = rows.map(row => row[col]);
+        });
+        return Object.assign(series, featurePipeline.compute(rows, columns));
+    }
+
+    /**
+     * Run the feature pipeline over the loaded data
+     * @returns {number} - Index of the first row where every feature is defined
+     */
+    buildFeatures() {
+        this.featureSeries = this.computeFeatureSeries(this.data);
+        this.featureNames = Object.keys(this.featureSeries);
+        
+        // Indicators need a warm-up period; skip rows until all are defined
+        let offset = 0;
+        while (offset < this.data.length &&
+               this.featureNames.some(name => !Number.isFinite(this.featureSeries[name][offset]))) {
+            offset++;
+        }
+        
+        if (this.data.length - offset < this.sequenceLength + this.forecastDays) {
+            throw new Error('Not enough data left after feature warm-up to build sequences');
+        }
+        
+        console.log(`Feature pipeline produced ${this.featureNames.length} features, skipping ${offset} warm-up rows`);
+        
+        return offset;
+    }
+
+    /**
+     * Number of rows covered by the samples before an index
+     * @param {number} sampleEnd - End of samples (exclusive)
+     * @returns {number} - Rows from the first sample's window to the last sample's target
+     */
+    rowsForSamples(sampleEnd) {
+        return sampleEnd + this.sequenceLength + this.forecastDays - 1;
+    }
+
+    /**
+     * Fit one scaler per feature plus the target on a range of rows
+     * @param {Array} features - Unscaled feature arrays
+     * @param {Array} target - Unscaled target values
+     * @param {number} start - First row (inclusive)
+     * @param {number} end - Last row (exclusive)
+     * @returns {Object} - 'target' and 'feature_i' -> fitted scaler
+     */
+    fitScalers(features, target, start, end) {
+        // Log-return scaling only makes sense for positive raw columns such as prices;
+        // engineered features (RSI, MACD, returns...) fall back to z-scores
+        const scalerFor = (values, isRawColumn) => {
+            const type = this.scalerType === 'logreturn' && (!isRawColumn || !scalerSupports('logreturn', values))
+                ? 'zscore'
+                : this.scalerType;
+            return createScaler(type).fit(values);
+        };
+        
+        const scalers = {};
+        features.forEach((featureArray, index) => {
+            const isRawColumn = this.featureColumns.includes(this.featureNames[index]);
+            scalers[`feature_${index}`] = scalerFor(featureArray.slice(start, end), isRawColumn);
+        });
+        scalers.target = scalerFor(target.slice(start, end), true);
+        
+        if (scalers.target.type !== this.scalerType) {
+            console.warn(`${this.targetColumn} cannot use the ${this.scalerType} scaler, using ${scalers.target.type}`);
+        }
+        
+        return scalers;
+    }
+
+    /**
+     * Scale one input window
+     * @param {Array} features - Unscaled feature arrays
+     * @param {number} start - First row of the window
+     * @param {Object} scalers - Fitted scalers
+     * @returns {Array} - [sequenceLength][features] scaled window
+     */
+    buildWindow(features, start, scalers) {
+        const end = start + this.sequenceLength;
+        // Relative scalers measure every step against the window's last value
+        const columns = features.map((featureArray, index) => {
+            const scaler = scalers[`feature_${index}`];
+            return scaler.transform(featureArray.slice(start, end), featureArray[end - 1]);
+        });
+        
+        const sequence = [];
+        for (let j = 0; j < this.sequenceLength; j++) {
+            sequence.push(columns.map(column => column[j]));
+        }
+        return sequence;
+    }
+
+    /**
+     * Build scaled input/target sequences for a range of samples
+     * @param {Array} features - Unscaled feature arrays
+     * @param {Array} target - Unscaled target values
+     * @param {Object} scalers - Fitted scalers
+     * @param {number} start - First sample (inclusive)
+     * @param {number} end - Last sample (exclusive)
+     * @returns {Object} - { X, y, anchors } where anchors[k] is the last observed target of sample start + k
+     */
+    buildSequences(features, target, scalers, start, end) {
+        const X = [];
+        const y = [];
+        const anchors = [];
+        
+        for (let i = start; i < end; i++) {
+            const anchor = target[i + this.sequenceLength - 1];
+            X.push(this.buildWindow(features, i, scalers));
+            
+            // Get next forecastDays target values
+            y.push(scalers.target.transform(
+                target.slice(i + this.sequenceLength, i + this.sequenceLength + this.forecastDays),
+                anchor
+            ));
+            anchors.push(anchor);
+        }
+        
+        return { X, y, anchors };
+    }
+
+    /**
+     * Denormalize an array
+     * @param {Array} normalizedArray - Normalized array
+     * @param {string} name - Scaler name ('target' or 'feature_i')
+     * @param {number} anchor - Last observed value before the forecast (relative scalers only)
+     * @returns {Array} - Denormalized array
+     */
+    denormalizeArray(normalizedArray, name, anchor) {
+        const scaler = this.scalers[name];
+        if (!scaler) {
+            throw new Error(`Normalization parameters not found for ${name}`);
+        }
+        
+        return scaler.inverseTransform(normalizedArray, anchor);
+    }
+
+    /**
+     * Convert normalized target values back to prices
+     * @param {Array} normalizedArray - Normalized forecast or target vector
+     * @param {number} sampleIndex - Index into allSequences; omit for the latest window
+     * @returns {Array} - Prices
+     */
+    denormalizeTarget(normalizedArray, sampleIndex = null) {
+        const anchor = sampleIndex === null
+            ? this.data[this.data.length - 1][this.targetColumn]
+            : this.allSequences.anchors[sampleIndex];
+        
+        return this.denormalizeArray(normalizedArray, 'target', anchor);
+    }
+
+    /**
+     * Create sequences for multi-day prediction
+     * @param {Array} features - Unscaled feature arrays
+     * @param {Array} target - Unscaled target values
+     * @param {Object} fittedScalers - Scalers to reuse instead of fitting on the training rows
+     * @returns {Object} - Training and testing datasets
+     */
+    createMultiDaySequences(features, target, fittedScalers = null) {
+        const totalSamples = target.length - this.sequenceLength - this.forecastDays + 1;
+        
+        console.log(`Creating sequences: ${totalSamples} samples`);
+        
+        // Split first so scalers only ever see rows used by training samples
+        const splitIndex = Math.floor(totalSamples * this.trainTestSplit);
+        const trainRows = this.rowsForSamples(splitIndex);
+        
+        if (fittedScalers && features.some((_, index) => !fittedScalers[`feature_${index}`])) {
+            throw new Error(`Saved scalers do not cover all ${features.length} features`);
+        }
+        
+        this.scalers = fittedScalers || this.fitScalers(features, target, 0, trainRows);
+        this.allSequences = this.buildSequences(features, target, this.scalers, 0, totalSamples);
+        
+        const { X: sequences, y: targets } = this.allSequences;
+        
+        // A global model also learns from the other tickers' training periods.
+        // The target's samples go last so validation tails still come from it.
+        const pooled = this.globalTraining
+            ? this.buildGlobalSamples(trainRows)
+            : { X: [], y: [], counts: {} };
+        
+        const X_train = [...pooled.X, ...sequences.slice(0, splitIndex)];
+        const y_train = [...pooled.y, ...targets.slice(0, splitIndex)];
+        const X_test = sequences.slice(splitIndex);
+        const y_test = targets.slice(splitIndex);
+
+        console.log(`Train set: ${X_train.length} samples (${pooled.X.length} from other tickers)`);
+        console.log(`Test set: ${X_test.length} samples`);
+
+        return {
+            X_train: tf.tensor3d(X_train),
+            y_train: tf.tensor2d(y_train),
+            X_test: tf.tensor3d(X_test),
+            y_test: tf.tensor2d(y_test),
+            featureNames: this.featureNames,
+            sequenceLength: this.sequenceLength,
+            forecastDays: this.forecastDays,
+            splitIndex,
+            targetSymbol: this.targetSymbol,
+            globalSamples: pooled.counts, // Symbol -> training samples pooled from it
+            // Continuous scaled target over the training rows, for fitting baselines
+            trainTargetSeries: this.scalers.target.transform(target.slice(0, trainRows), target[0])
+        };
+    }
+
+    /**
+     * Training samples from the other tickers for a global model. Each ticker is
+     * cleaned, gets its own features and scalers, and is cut at the target's last
+     * training date, so no sample looks into the test period.
+     * @param {number} trainRows - Target rows covered by the training samples
+     * @returns {Object} - { X, y, counts } with counts[symbol] = samples added
+     */
+    buildGlobalSamples(trainRows) {
+        const cutoff = this.data[this.dataOffset + trainRows - 1].Date;
+        const X = [];
+        const y = [];
+        const counts = {};
+        
+        this.getTrainingSymbols().forEach(symbol => {
+            let rows = this.buildSeriesRows(symbol).filter(row => row.Date <= cutoff);
+            if (rows.length > 0 && this.cleaningConfig) {
+                rows = this.cleanRows(rows, this.cleaningConfig).data;
+            }
+            if (rows.length === 0) {
+                return;
+            }
+            
+            const series = this.computeFeatureSeries(rows);
+            if (this.featureNames.some(name => !series[name])) {
+                console.warn(`Skipping ${symbol}: it does not have every feature of ${this.targetSymbol}`);
+                return;
+            }
+            
+            let offset = 0;
+            while (offset < rows.length &&
+                   this.featureNames.some(name => !Number.isFinite(series[name][offset]))) {
+                offset++;
+            }
+            
+            const features = this.featureNames.map(name => series[name].slice(offset));
+            const target = rows.slice(offset).map(row => row[this.targetColumn]);
+            const samples = target.length - this.sequenceLength - this.forecastDays + 1;
+            if (samples < 1) {
+                console.warn(`Skipping ${symbol}: not enough rows before ${cutoff}`);
+                return;
+            }
+            
+            const scalers = this.fitScalers(features, target, 0, target.length);
+            const sequences = this.buildSequences(features, target, scalers, 0, samples);
+            X.push(...sequences.X);
+            y.push(...sequences.y);
+            counts[symbol] = samples;
+        });
+        
+        return { X, y, counts };
+    }
+
+    /**
+     * Rebuild sequences with scalers refitted on one walk-forward fold's training rows
+     * @param {number} trainStart - First training sample
+     * @param {number} trainEnd - End of training samples (exclusive)
+     * @param {number} end - End of samples needed by the fold (exclusive)
+     * @param {Object} fittedScalers - Scalers of an earlier fold to reuse instead of refitting
+     * @returns {Object} - { X, y, anchors, scalers, start } with arrays indexed from trainStart
+     */
+    getFoldSequences(trainStart, trainEnd, end, fittedScalers = null) {
+        if (!this.sequenceSource) {
+            throw new Error('No sequences available. Load and preprocess data first.');
+        }
+        
+        const { features, target } = this.sequenceSource;
+        const scalers = fittedScalers ||
+            this.fitScalers(features, target, trainStart, this.rowsForSamples(trainEnd));
+        
+        return {
+            ...this.buildSequences(features, target, scalers, trainStart, end),
+            scalers,
+            start: trainStart
+        };
+    }
+
+    /**
+     * Hold out the newest samples for validation. Sample i targets rows
+     * [i + lookback, i + lookback + forecastDays), so training samples end
+     * forecastDays - 1 samples before the validation tail: their targets stop
+     * right before the first validation target.
+     * @param {number} samples - Number of samples to split
+     * @param {number} validationFraction - Tail share held out for validation
+     * @returns {Object} - { trainEnd, valStart } with training samples [0, trainEnd)
+     *                     and validation samples [valStart, samples)
+     */
+    validationBounds(samples, validationFraction) {
+        const valStart = samples - Math.max(1, Math.floor(samples * validationFraction));
+        return { trainEnd: valStart - this.forecastDays + 1, valStart };
+    }
+
+    /**
+     * Split the training samples of preprocessData() into a training part and a
+     * validation tail, so early stopping and learning-rate scheduling never see
+     * the test samples. Samples pooled from other tickers stay in the training part.
+     * @param {Object} datasets - Output of preprocessData()
+     * @param {number} validationFraction - Share of the target's training samples held out
+     * @returns {Object} - { X_train, y_train, X_val, y_val } tensors; the caller disposes them
+     */
+    getValidationSplit(datasets, validationFraction) {
+        const pooled = datasets.X_train.shape[0] - datasets.splitIndex;
+        const { trainEnd, valStart } = this.validationBounds(datasets.splitIndex, validationFraction);
+        if (trainEnd < 1) {
+            throw new Error(`Not enough training samples (${datasets.splitIndex}) for a validation split`);
+        }
+
+        return {
+            X_train: datasets.X_train.slice(0, pooled + trainEnd),
+            y_train: datasets.y_train.slice(0, pooled + trainEnd),
+            X_val: datasets.X_train.slice(pooled + valStart),
+            y_val: datasets.y_train.slice(pooled + valStart)
+        };
+    }
+
+    /**
+     * Training and validation sequences for another lookback window, built only
+     * from rows the current training split uses, so tuning never sees the test set.
+     * The loader's own window, scalers and sequences are left unchanged. A global
+     * model's samples from other tickers come first, cut at the last training row.
+     * @param {number} sequenceLength - Lookback window to build
+     * @param {number} validationFraction - Tail share of the target's samples held out for validation
+     * @param {Object} fittedScalers - Scalers to reuse instead of fitting new ones, e.g. the
+     *                                 loader's own so models also work on the preprocessed test windows
+     * @returns {Object} - { X, y, anchors, scalers, trainEnd, valStart, pooled } with
+     *                     training samples [0, trainEnd) and validation samples [valStart, X.length);
+     *                     the first `pooled` samples come from other tickers and have no anchor
+     */
+    getTuningSequences(sequenceLength, validationFraction, fittedScalers = null) {
+        if (!this.sequenceSource) {
+            throw new Error('No sequences available. Load and preprocess data first.');
+        }
+
+        const { features, target } = this.sequenceSource;
+        const trainRows = this.rowsForSamples(
+            Math.floor((target.length - this.sequenceLength - this.forecastDays + 1) * this.trainTestSplit)
+        );
+
+        const savedLength = this.sequenceLength;
+        this.sequenceLength = sequenceLength;
+        try {
+            // Samples whose targets end inside the training rows
+            const end = trainRows - sequenceLength - this.forecastDays + 1;
+            const { trainEnd, valStart } = this.validationBounds(end, validationFraction);
+
+            if (trainEnd < 2) {
+                throw new Error(`Not enough training data for a ${sequenceLength}-day lookback`);
+            }
+
+            const scalers = fittedScalers || this.fitScalers(features, target, 0, this.rowsForSamples(trainEnd));
+            const sequences = this.buildSequences(features, target, scalers, 0, end);
+            const pooled = this.globalTraining
+                ? this.buildGlobalSamples(this.rowsForSamples(trainEnd))
+                : { X: [], y: [] };
+
+            return {
+                X: [...pooled.X, ...sequences.X],
+                y: [...pooled.y, ...sequences.y],
+                anchors: [...pooled.X.map(() => null), ...sequences.anchors],
+                scalers,
+                trainEnd: pooled.X.length + trainEnd,
+                valStart: pooled.X.length + valStart,
+                pooled: pooled.X.length
+            };
+        } finally {
+            this.sequenceLength = savedLength;
+        }
+    }
+
+    /**
+     * The most recent samples, split for fine-tuning a model on newly appended
+     * data: the newest windows validate, and training targets stop before the
+     * first validation target
+     * @param {number} count - Number of recent samples
+     * @param {number} validationFraction - Share of them held out for validation
+     * @returns {Object} - { X_train, y_train, X_val, y_val } arrays
+     */
+    getRecentSequences(count, validationFraction = 0.2) {
+        if (!this.allSequences) {
+            throw new Error('No sequences available. Load and preprocess data first.');
+        }
+        
+        const X = this.allSequences.X.slice(-count);
+        const y = this.allSequences.y.slice(-count);
+        const { trainEnd, valStart } = this.validationBounds(X.length, validationFraction);
+        if (trainEnd < 1) {
+            throw new Error(`Not enough recent windows to fine-tune (${X.length}); use more windows`);
+        }
+        
+        return {
+            X_train: X.slice(0, trainEnd),
+            y_train: y.slice(0, trainEnd),
+            X_val: X.slice(valStart),
+            y_val: y.slice(valStart)
+        };
+    }
+
+    /**
+     * Label of the day a sequence's forecast refers to
+     * @param {number} sampleIndex - Index into allSequences
+     * @param {number} horizonDay - Forecast day (1-based)
+     * @returns {string} - Chart label
+     */
+    getTargetLabel(sampleIndex, horizonDay = 1) {
+        const rowIndex = this.dataOffset + sampleIndex + this.sequenceLength + horizonDay - 1;
+        return this.getDateLabel(rowIndex);
+    }
+
+    /**
+     * Get the latest window for prediction
+     * @returns {tf.Tensor} - Latest window tensor
+     */
+    getLatestWindow() {
+        if (!this.data || this.data.length === 0) {
+            throw new Error('No data loaded');
+        }
+
+        // Scale the last sequenceLength days with the stored training scalers
+        const features = this.featureNames.map(name => this.featureSeries[name]);
+        const sequence = this.buildWindow(features, features[0].length - this.sequenceLength, this.scalers);
+
+        return tf.tensor3d([sequence]);
+    }
+
+    /**
+     * Forecast beyond the model's direct horizon: append each predicted block
+     * to the history, recompute features and predict again from the new window
+     * @param {Function} predict - Maps a [1, sequenceLength, features] tensor to a normalized forecast (or a promise of one)
+     * @param {number} totalDays - Days to forecast
+     * @returns {Promise<Array>} - Forecast prices
+     */
+    async recursiveForecast(predict, totalDays) {
+        if (!this.data || this.data.length === 0) {
+            throw new Error('No data loaded');
+        }
+        
+        const rows = [...this.data];
+        const forecasts = [];
+        
+        while (forecasts.length < totalDays) {
+            const series = this.computeFeatureSeries(rows);
+            const features = this.featureNames.map(name => series[name]);
+            if (features.some(feature => !feature)) {
+                throw new Error('Feature set changed since the model was trained');
+            }
+            
+            const window = tf.tensor3d([this.buildWindow(features, rows.length - this.sequenceLength, this.scalers)]);
+            let normalized;
+            try {
+                normalized = await predict(window);
+            } finally {
+                window.dispose();
+            }
+            
+            const anchor = rows[rows.length - 1][this.targetColumn];
+            const prices = this.denormalizeArray(normalized, 'target', anchor);
+            
+            prices.slice(0, totalDays - forecasts.length).forEach(price => {
+                rows.push(this.createForecastRow(rows[rows.length - 1], price));
+                forecasts.push(price);
+            });
+        }
+        
+        return forecasts;
+    }
+
+    /**
+     * Synthetic row for a forecast day: price columns take the predicted
+     * close, everything else (e.g. volume) is carried forward
+     * @param {Object} previous - Last row
+     * @param {number} price - Predicted target value
+     * @returns {Object} - New row without a date
+     */
+    createForecastRow(previous, price) {
+        const { Date: _, ...row } = previous;
+        PRICE_COLUMNS.forEach(col => {
+            if (col in row) {
+                row[col] = price;
+            }
+        });
+        row[this.targetColumn] = price;
+        return row;
+    }
+
+    /**
+     * Preprocessing settings a trained model depends on
+     * @returns {Object} - Serializable preprocessing state
+     */
+    getPreprocessingState() {
+        return {
+            targetColumn: this.targetColumn,
+            targetSymbol: this.targetSymbol,
+            exogenousSymbols: this.exogenousSymbols,
+            globalTraining: this.globalTraining,
+            featureColumns: this.featureColumns,
+            featureNames: this.featureNames,
+            enabledFeatures: featurePipeline.getEnabled(),
+            sequenceLength: this.sequenceLength,
+            forecastDays: this.forecastDays,
+            scalerType: this.scalerType,
+            scalers: serializeScalers(this.scalers)
+        };
+    }
+
+    /**
+     * Restore preprocessing settings saved with a model
+     * @param {Object} state - Output of getPreprocessingState()
+     */
+    restorePreprocessingState(state) {
+        if (!state) {
+            return;
+        }
+        
+        this.targetColumn = state.targetColumn || this.targetColumn;
+        
+        // Re-select the saved tickers when the loaded data has them all
+        const symbols = [state.targetSymbol, ...(state.exogenousSymbols || [])];
+        if (state.targetSymbol && symbols.every(symbol => this.series[symbol])) {
+            this.selectSeries({
+                target: state.targetSymbol,
+                exogenous: state.exogenousSymbols || [],
+                global: Boolean(state.globalTraining)
+            });
+            if (this.cleaningConfig) {
+                this.cleanData(this.cleaningConfig);
+            }
+        }
+        this.sequenceLength = state.sequenceLength || this.sequenceLength;
+        this.forecastDays = state.forecastDays || this.forecastDays;
+        this.scalerType = state.scalerType || 'minmax';
+        // Models saved before scalers existed only carry min-max normalizationParams
+        this.scalers = deserializeScalers(state.scalers || state.normalizationParams);
+        if (state.featureColumns) {
+            this.featureColumns = [...state.featureColumns];
+        }
+        if (state.featureNames) {
+            this.featureNames = [...state.featureNames];
+        }
+        if (state.enabledFeatures) {
+            featurePipeline.setEnabledFeatures(state.enabledFeatures);
+        }
+    }
+
+    /**
+     * Get data statistics
+     * @returns {Object} - Data statistics
+     */
+    getStats() {
+        if (!this.data || this.data.length === 0) {
+            return null;
+        }
+
+        const targetValues = this.data.map(row => row[this.targetColumn]);
+        const returns = [];
+        
+        for (let i = 1; i < targetValues.length; i++) {
+            returns.push((targetValues[i] - targetValues[i-1]) / targetValues[i-1]);
+        }
+
+        return {
+            totalDays: this.data.length,
+            minPrice: Math.min(...targetValues).toFixed(2),
+            maxPrice: Math.max(...targetValues).toFixed(2),
+            meanPrice: (targetValues.reduce((a, b) => a + b, 0) / targetValues.length).toFixed(2),
+            meanReturn: (returns.reduce((a, b) => a + b, 0) / returns.length * 100).toFixed(3),
+            volatility: (Math.sqrt(returns.reduce((sq, n) => sq + n * n, 0) / returns.length) * 100).toFixed(3),
+            targetSymbol: this.targetSymbol,
+            symbols: this.getSymbols(),
+            featureCount: this.featureNames.length || this.featureColumns.length,
+            features: this.featureNames.length ? this.featureNames : this.featureColumns
+        };
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this.data) {
+            this.data = null;
+        }
+        this.featureColumns = [];
+        this.parseReport = null;
+        this.rawData = null;
+        this.qualityReport = null;
+        this.featureNames = [];
+        this.featureSeries = {};
+        this.allSequences = null;
+        this.sequenceSource = null;
+        this.dataOffset = 0;
+        this.scalers = {};
+        this.series = {};
+        this.seriesColumns = {};
+        this.targetSymbol = null;
+        this.exogenousSymbols = [];
+        this.globalTraining = false;
+    }
+}
+
+// Export singleton instance
+export const dataLoader = new DataLoader();
@@ -0,0 +1,233 @@
+// ensemble.js
+/**
+ * Ensemble Module
+ * Trains several models on the same data, each from its own seeded
+ * initialization and optionally with a different architecture, and combines
+ * their forecasts. The spread across members measures how much they disagree.
+ */
+
+import { dataLoader } from './data-loader.js';
+import { trainingClient } from './training-client.js';
+import { ARCHITECTURES } from './architectures.js';
+
+/**
+ * Ways to combine member forecasts
+ */
+export const COMBINATION_METHODS = {
+    mean: 'Mean',
+    median: 'Median',
+    weighted: 'Weighted (inverse validation MSE)'
+};
+
+/**
+ * Default ensemble settings
+ */
+export const DEFAULT_ENSEMBLE_CONFIG = {
+    size: 5, // Number of members
+    architectures: ['gru'], // Assigned to members in turn
+    combine: 'mean',
+    seed: 1, // Member i initializes its weights from seed + i
+    validationFraction: 0.15 // Tail of the training samples used for early stopping and weights
+};
+
+class EnsembleModel {
+    constructor() {
+        this.members = []; // { model, architecture, seed, valMse }
+        this.weights = [];
+        this.combine = DEFAULT_ENSEMBLE_CONFIG.combine;
+        this.isRunning = false;
+    }
+
+    /**
+     * Whether the ensemble has trained members
+     * @returns {boolean} - True once train() has finished at least one member
+     */
+    isTrained() {
+        return this.members.length > 0;
+    }
+
+    /**
+     * Train the members on the training split, one after another in the training
+     * worker. The test set is left out entirely: a validation tail of the training
+     * samples drives early stopping and weights.
+     * @param {Object} datasets - Output of dataLoader.preprocessData()
+     * @param {Object} options - Ensemble settings (see DEFAULT_ENSEMBLE_CONFIG)
+     * @param {Object} options.modelConfig - Base model configuration for every member
+     * @param {Function} options.onMemberEnd - Called with (memberIndex, size, member)
+     * @param {Function} options.onEpochEnd - Called with (memberIndex, epoch, logs)
+     * @returns {Promise<Array>} - Member summaries { architecture, seed, valMse, weight }
+     */
+    async train(datasets, options = {}) {
+        const { modelConfig = {}, onMemberEnd, onEpochEnd, ...settings } = options;
+        const config = { ...DEFAULT_ENSEMBLE_CONFIG, ...settings };
+
+        if (config.architectures.length === 0) {
+            throw new Error('Pick at least one architecture for the ensemble');
+        }
+
+        const horizon = datasets.forecastDays;
+        // Same split as hyperparameter tuning, with the loader's scalers so members
+        // work on the preprocessed test windows
+        const { X, y, trainEnd, valStart } = dataLoader.getTuningSequences(
+            datasets.sequenceLength,
+            config.validationFraction,
+            dataLoader.scalers
+        );
+
+        const X_train = tf.tensor3d(X.slice(0, trainEnd));
+        const y_train = tf.tensor2d(y.slice(0, trainEnd));
+        const X_val = tf.tensor3d(X.slice(valStart));
+        const y_val = tf.tensor2d(y.slice(valStart));
+
+        this.dispose();
+        this.combine = config.combine;
+        this.isRunning = true;
+
+        try {
+            for (let i = 0; i < config.size && this.isRunning; i++) {
+                const architecture = config.architectures[i % config.architectures.length];
+                // Members differ by their initialization seed and the shuffling of batches
+                const seed = config.seed + i;
+                const model = await trainingClient.trainModel({
+                    inputShape: [datasets.sequenceLength, datasets.featureNames.length],
+                    outputShape: horizon,
+                    config: { ...modelConfig, architecture, seed }
+                }, { X_train, y_train, X_val, y_val }, {
+                    onEpochEnd: (epoch, logs) => onEpochEnd && onEpochEnd(i, epoch, logs)
+                });
+                if (!this.isRunning) {
+                    // Members cut short are not comparable
+                    model.dispose();
+                    break;
+                }
+
+                const member = {
+                    model,
+                    architecture,
+                    seed,
+                    valMse: model.evaluate(X_val, y_val).loss
+                };
+                this.members.push(member);
+
+                if (onMemberEnd) {
+                    onMemberEnd(i, config.size, member);
+                }
+
+                // Let the browser repaint between members
+                await tf.nextFrame();
+            }
+        } finally {
+            this.isRunning = false;
+            [X_train, y_train, X_val, y_val].forEach(tensor => tensor.dispose());
+        }
+
+        this.weights = this.computeWeights();
+        return this.summary();
+    }
+
+    /**
+     * Member weights proportional to inverse validation MSE
+     * @returns {Array} - Weights summing to 1
+     */
+    computeWeights() {
+        const inverse = this.members.map(member => 1 / Math.max(member.valMse, 1e-12));
+        const total = inverse.reduce((a, b) => a + b, 0);
+        return inverse.map(value => value / total);
+    }
+
+    /**
+     * Member table for the UI
+     * @returns {Array} - { architecture, label, seed, valMse, weight } per member
+     */
+    summary() {
+        return this.members.map((member, i) => ({
+            architecture: member.architecture,
+            label: ARCHITECTURES[member.architecture] || member.architecture,
+            seed: member.seed,
+            valMse: member.valMse,
+            weight: this.weights[i]
+        }));
+    }
+
+    /**
+     * Every member's predictions
+     * @param {tf.Tensor} X - Windows [samples, steps, features]
+     * @returns {Array} - [member][sample][horizon] normalized forecasts
+     */
+    predictMembers(X) {
+        if (!this.isTrained()) {
+            throw new Error('Ensemble not trained');
+        }
+
+        return this.members.map(member => {
+            const output = member.model.predict(X);
+            const values = output.arraySync();
+            output.dispose();
+            return values;
+        });
+    }
+
+    /**
+     * Combine one forecast vector per member
+     * @param {Array} forecasts - [member][horizon] values (normalized or prices)
+     * @param {string} method - Key of COMBINATION_METHODS (defaults to the trained setting)
+     * @returns {Object} - { forecast, std, min, max } per horizon day
+     */
+    combineForecasts(forecasts, method = this.combine) {
+        const horizon = forecasts[0].length;
+        const result = { forecast: [], std: [], min: [], max: [] };
+
+        for (let h = 0; h < horizon; h++) {
+            const values = forecasts.map(forecast => forecast[h]);
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+
+            let combined;
+            if (method === 'median') {
+                const sorted = [...values].sort((a, b) => a - b);
+                const mid = Math.floor(sorted.length / 2);
+                combined = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+            } else if (method === 'weighted') {
+                combined = values.reduce((sum, v, i) => sum + v * this.weights[i], 0);
+            } else {
+                combined = mean;
+            }
+
+            result.forecast.push(combined);
+            result.std.push(Math.sqrt(values.reduce((sq, v) => sq + (v - mean) ** 2, 0) / values.length));
+            result.min.push(Math.min(...values));
+            result.max.push(Math.max(...values));
+        }
+
+        return result;
+    }
+
+    /**
+     * Combined normalized forecast from one window
+     * @param {tf.Tensor} window - Window [1, steps, features]
+     * @returns {Array} - Normalized forecast
+     */
+    forecast(window) {
+        const members = this.predictMembers(window).map(values => values[0]);
+        return this.combineForecasts(members).forecast;
+    }
+
+    /**
+     * Stop after the current member
+     */
+    stop() {
+        this.isRunning = false;
+        trainingClient.stop();
+    }
+
+    /**
+     * Release every member model
+     */
+    dispose() {
+        this.members.forEach(member => member.model.dispose());
+        this.members = [];
+        this.weights = [];
+    }
+}
+
+// Export singleton instance
+export const ensembleModel = new EnsembleModel();
@@ -0,0 +1,320 @@
+// features.js
+/**
+ * Feature Engineering Module
+ * Pluggable pipeline that derives technical indicators from OHLCV columns
+ */
+
+/**
+ * Rolling mean over a window (NaN until the window is full)
+ * @param {Array} values - Input series
+ * @param {number} window - Window length
+ * @returns {Array} - Rolling mean
+ */
+function rollingMean(values, window) {
+    return values.map((_, i) => {
+        if (i < window - 1) return NaN;
+        let sum = 0;
+        for (let j = i - window + 1; j <= i; j++) {
+            sum += values[j];
+        }
+        // NaN inputs (e.g. the first log return) propagate to the result
+        return sum / window;
+    });
+}
+
+/**
+ * Rolling standard deviation over a window (NaN until the window is full)
+ * @param {Array} values - Input series
+ * @param {number} window - Window length
+ * @returns {Array} - Rolling standard deviation
+ */
+function rollingStd(values, window) {
+    const means = rollingMean(values, window);
+
+    return values.map((_, i) => {
+        if (isNaN(means[i])) return NaN;
+        let sq = 0;
+        for (let j = i - window + 1; j <= i; j++) {
+            if (isNaN(values[j])) return NaN;
+            sq += (values[j] - means[i]) ** 2;
+        }
+        return Math.sqrt(sq / window);
+    });
+}
+
+/**
+ * Exponential moving average seeded with the first value
+ * @param {Array} values - Input series
+ * @param {number} span - EMA span
+ * @returns {Array} - EMA series
+ */
+function ema(values, span) {
+    const alpha = 2 / (span + 1);
+    const result = new Array(values.length).fill(NaN);
+    let prev = NaN;
+
+    for (let i = 0; i < values.length; i++) {
+        if (isNaN(values[i])) continue;
+        prev = isNaN(prev) ? values[i] : alpha * values[i] + (1 - alpha) * prev;
+        // Leave the first span-1 values undefined while the EMA warms up
+        result[i] = i >= span - 1 ? prev : NaN;
+    }
+
+    return result;
+}
+
+/**
+ * Log returns ln(p_t / p_{t-1})
+ * @param {Array} prices - Price series
+ * @returns {Array} - Log returns (first value NaN)
+ */
+function logReturns(prices) {
+    return prices.map((p, i) => (i === 0 ? NaN : Math.log(p / prices[i - 1])));
+}
+
+/**
+ * Built-in feature definitions.
+ * Each definition lists the raw columns it `requires` and returns
+ * one or more named series aligned with the input rows.
+ */
+const BUILT_IN_FEATURES = [
+    {
+        name: 'logReturn',
+        label: 'Log Returns',
+        requires: ['Close'],
+        enabled: true,
+        compute: ({ Close }) => ({ logReturn: logReturns(Close) })
+    },
+    {
+        name: 'sma',
+        label: 'SMA (20)',
+        requires: ['Close'],
+        enabled: false,
+        params: { window: 20 },
+        compute: ({ Close }, { window }) => ({ sma: rollingMean(Close, window) })
+    },
+    {
+        name: 'ema',
+        label: 'EMA (12)',
+        requires: ['Close'],
+        enabled: false,
+        params: { span: 12 },
+        compute: ({ Close }, { span }) => ({ ema: ema(Close, span) })
+    },
+    {
+        name: 'rsi',
+        label: 'RSI (14)',
+        requires: ['Close'],
+        enabled: true,
+        params: { window: 14 },
+        compute: ({ Close }, { window }) => {
+            const rsi = new Array(Close.length).fill(NaN);
+            let avgGain = 0;
+            let avgLoss = 0;
+
+            // Wilder's smoothing
+            for (let i = 1; i < Close.length; i++) {
+                const change = Close[i] - Close[i - 1];
+                const gain = Math.max(change, 0);
+                const loss = Math.max(-change, 0);
+
+                if (i <= window) {
+                    avgGain += gain / window;
+                    avgLoss += loss / window;
+                } else {
+                    avgGain = (avgGain * (window - 1) + gain) / window;
+                    avgLoss = (avgLoss * (window - 1) + loss) / window;
+                }
+
+                if (i >= window) {
+                    rsi[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+                }
+            }
+
+            return { rsi };
+        }
+    },
+    {
+        name: 'macd',
+        label: 'MACD (12, 26, 9)',
+        requires: ['Close'],
+        enabled: true,
+        params: { fast: 12, slow: 26, signal: 9 },
+        compute: ({ Close }, { fast, slow, signal }) => {
+            const fastEma = ema(Close, fast);
+            const slowEma = ema(Close, slow);
+            const macd = Close.map((_, i) => fastEma[i] - slowEma[i]);
+            const firstValid = macd.findIndex(v => !isNaN(v));
+            const signalLine = new Array(Close.length).fill(NaN);
+
+            if (firstValid >= 0) {
+                ema(macd.slice(firstValid), signal).forEach((v, i) => {
+                    signalLine[firstValid + i] = v;
+                });
+            }
+
+            return { macd, macdSignal: signalLine };
+        }
+    },
+    {
+        name: 'bollinger',
+        label: 'Bollinger Bands (20, 2σ)',
+        requires: ['Close'],
+        enabled: false,
+        params: { window: 20, k: 2 },
+        compute: ({ Close }, { window, k }) => {
+            const mid = rollingMean(Close, window);
+            const std = rollingStd(Close, window);
+
+            return {
+                bbUpper: mid.map((m, i) => m + k * std[i]),
+                bbLower: mid.map((m, i) => m - k * std[i])
+            };
+        }
+    },
+    {
+        name: 'volatility',
+        label: 'Rolling Volatility (20)',
+        requires: ['Close'],
+        enabled: true,
+        params: { window: 20 },
+        compute: ({ Close }, { window }) => ({ volatility: rollingStd(logReturns(Close), window) })
+    },
+    {
+        name: 'atr',
+        label: 'ATR (14)',
+        requires: ['High', 'Low', 'Close'],
+        enabled: true,
+        params: { window: 14 },
+        compute: ({ High, Low, Close }, { window }) => {
+            const trueRange = Close.map((_, i) => {
+                if (i === 0) return High[i] - Low[i];
+                return Math.max(
+                    High[i] - Low[i],
+                    Math.abs(High[i] - Close[i - 1]),
+                    Math.abs(Low[i] - Close[i - 1])
+                );
+            });
+
+            return { atr: rollingMean(trueRange, window) };
+        }
+    },
+    {
+        name: 'volumeZ',
+        label: 'Volume Z-Score (20)',
+        requires: ['Volume'],
+        enabled: true,
+        params: { window: 20 },
+        compute: ({ Volume }, { window }) => {
+            const mean = rollingMean(Volume, window);
+            const std = rollingStd(Volume, window);
+
+            return {
+                volumeZ: Volume.map((v, i) => {
+                    if (isNaN(mean[i])) return NaN;
+                    return std[i] > 0 ? (v - mean[i]) / std[i] : 0;
+                })
+            };
+        }
+    }
+];
+
+class FeaturePipeline {
+    constructor() {
+        this.features = new Map();
+        BUILT_IN_FEATURES.forEach(feature => this.register(feature));
+    }
+
+    /**
+     * Register a feature definition (replaces one with the same name)
+     * @param {Object} feature - { name, label, requires, enabled, params, compute }
+     */
+    register(feature) {
+        if (!feature.name || typeof feature.compute !== 'function') {
+            throw new Error('Feature definition needs a name and a compute function');
+        }
+
+        this.features.set(feature.name, {
+            label: feature.name,
+            requires: ['Close'],
+            enabled: false,
+            params: {},
+            ...feature
+        });
+    }
+
+    /**
+     * Enable or disable a feature by name
+     * @param {string} name - Feature name
+     * @param {boolean} enabled - New state
+     */
+    setEnabled(name, enabled) {
+        const feature = this.features.get(name);
+        if (!feature) {
+            throw new Error(`Unknown feature: ${name}`);
+        }
+        feature.enabled = enabled;
+    }
+
+    /**
+     * Enable exactly the named features and disable the rest
+     * @param {Array} names - Feature names to enable
+     */
+    setEnabledFeatures(names) {
+        this.features.forEach((feature, name) => {
+            feature.enabled = names.includes(name);
+        });
+    }
+
+    /**
+     * Names of enabled features
+     * @returns {Array} - Feature names
+     */
+    getEnabled() {
+        return [...this.features.values()].filter(f => f.enabled).map(f => f.name);
+    }
+
+    /**
+     * Describe all registered features and whether the data supports them
+     * @param {Array} columns - Raw columns available in the data
+     * @returns {Array} - { name, label, enabled, available }
+     */
+    describe(columns = []) {
+        return [...this.features.values()].map(f => ({
+            name: f.name,
+            label: f.label,
+            enabled: f.enabled,
+            available: f.requires.every(col => columns.includes(col))
+        }));
+    }
+
+    /**
+     * Compute all enabled features that the data supports
+     * @param {Array} data - Parsed rows
+     * @param {Array} columns - Raw columns available in the data
+     * @returns {Object} - Map of derived series name to values aligned with data
+     */
+    compute(data, columns) {
+        const derived = {};
+
+        this.features.forEach(feature => {
+            if (!feature.enabled) return;
+            if (!feature.requires.every(col => columns.includes(col))) {
+                console.log(`Skipping feature ${feature.name}: missing ${feature.requires.join(', ')}`);
+                return;
+            }
+
+            const inputs = {};
+            feature.requires.forEach(col => {
+                inputs[col] = data.map(row => row[col]);
+            });
+
+            Object.assign(derived, feature.compute(inputs, feature.params));
+        });
+
+        return derived;
+    }
+}
+
+// Export singleton instance
+export const featurePipeline = new FeaturePipeline();
@@ -0,0 +1,154 @@
+// forecast-tracker.js
+/**
+ * Forecast Tracker Module
+ * Keeps a log of the forecasts made from the latest data and scores them once
+ * the days they refer to have been appended. The log lives in localStorage so
+ * forecasts made in one session can be scored in the next.
+ */
+
+import { horizonMetrics } from './metrics.js';
+
+const STORAGE_KEY = 'sp500-forecast-log';
+
+// Oldest entries are dropped beyond this many forecasts
+const MAX_ENTRIES = 200;
+
+class ForecastTracker {
+    constructor() {
+        this.entries = this.load(); // { id, symbol, originDate, rowIndex, originValue, originPrice, labels, prices, source, createdAt }
+    }
+
+    /**
+     * Read the stored log
+     * @returns {Array} - Stored entries, or an empty log without localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return [];
+        }
+
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            console.warn('Could not read the forecast log:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Write the log back to localStorage
+     */
+    persist() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not store the forecast log:', error.message);
+        }
+    }
+
+    /**
+     * Log a forecast. A newer forecast from the same origin replaces the older one.
+     * @param {Object} forecast - Forecast to log
+     * @param {string} forecast.symbol - Ticker forecast
+     * @param {string|null} forecast.originDate - Date of the last observed row (null for dateless data)
+     * @param {number} forecast.rowIndex - Index of the last observed row in the symbol's series
+     * @param {number} forecast.originValue - Target value of that series row as loaded, before cleaning
+     * @param {number} forecast.originPrice - Last observed price
+     * @param {Array} forecast.labels - Label per forecast day
+     * @param {Array} forecast.prices - Forecast price per day
+     * @param {string} forecast.source - What produced the forecast, e.g. 'Model' or 'Ensemble'
+     * @returns {Object} - Stored entry
+     */
+    record(forecast) {
+        const entry = {
+            ...forecast,
+            id: Date.now(),
+            createdAt: new Date().toISOString()
+        };
+
+        this.entries = this.entries.filter(existing =>
+            existing.symbol !== entry.symbol ||
+            existing.rowIndex !== entry.rowIndex
+        );
+        this.entries.push(entry);
+        this.entries = this.entries.slice(-MAX_ENTRIES);
+        this.persist();
+
+        return entry;
+    }
+
+    /**
+     * Compare logged forecasts with the realized prices. Forecast day h is the
+     * h-th row after the origin row, so market holidays do not shift the comparison.
+     * Entries whose origin row no longer matches (another file was loaded) are
+     * skipped: the row at rowIndex must carry the logged date and target value,
+     * which is what identifies it in dateless data.
+     * @param {Array} rows - The symbol's series, oldest first (what rowIndex points into)
+     * @param {string} targetColumn - Price column
+     * @param {string} symbol - Ticker the rows belong to
+     * @returns {Array} - { entryId, source, origin, day, label, predicted, actual, error, pctError } per realized day
+     */
+    score(rows, targetColumn, symbol) {
+        const scored = [];
+
+        this.entries.filter(entry => entry.symbol === symbol).forEach(entry => {
+            const origin = entry.rowIndex;
+            if (!Number.isInteger(origin) || !rows[origin] ||
+                (rows[origin].Date || null) !== entry.originDate ||
+                rows[origin][targetColumn] !== entry.originValue) {
+                return;
+            }
+
+            entry.prices.forEach((predicted, h) => {
+                const row = rows[origin + h + 1];
+                if (!row || !Number.isFinite(row[targetColumn])) {
+                    return;
+                }
+
+                const actual = row[targetColumn];
+                scored.push({
+                    entryId: entry.id,
+                    source: entry.source,
+                    origin: entry.originDate || `Day ${origin + 1}`,
+                    day: h + 1,
+                    label: row.Date || entry.labels[h],
+                    predicted,
+                    actual,
+                    error: actual - predicted,
+                    pctError: ((actual - predicted) / actual) * 100
+                });
+            });
+        });
+
+        return scored;
+    }
+
+    /**
+     * Error summary over scored forecast days
+     * @param {Array} scored - Output of score()
+     * @returns {Object|null} - { mae, rmse, mape, count }, or null if nothing was scored
+     */
+    summarize(scored) {
+        if (scored.length === 0) {
+            return null;
+        }
+
+        const [metrics] = horizonMetrics(scored.map(s => [s.predicted]), scored.map(s => [s.actual]));
+        return { mae: metrics.mae, rmse: metrics.rmse, mape: metrics.mape, count: metrics.count };
+    }
+
+    /**
+     * Forget every logged forecast
+     */
+    clear() {
+        this.entries = [];
+        this.persist();
+    }
+}
+
+// Export singleton instance
+export const forecastTracker = new ForecastTracker();
@@ -1,78 +1,162 @@
 // gru.js
 /**
  * GRU Model Module
- * Defines, trains, and evaluates the GRU model for stock prediction
+ * Defines, trains, and evaluates the forecasting model for stock prediction.
+ * The stacked GRU is the default; other backbones come from architectures.js
+ * and share the same training, forecasting and persistence code.
  */
 
-class GRUModel {
+import { buildBackbone, createInitializers } from './architectures.js';
+
+/**
+ * Default architecture and training hyperparameters.
+ * `units` and `dropout` hold one entry per stacked layer or block.
+ */
+export const DEFAULT_MODEL_CONFIG = {
+    architecture: 'gru', // Key of ARCHITECTURES
+    units: [128, 64],
+    dropout: [0.3, 0.2],
+    denseUnits: 32,
+    filters: 64, // Convolution filters in front of the GRU (cnngru)
+    kernelSize: 3, // Convolution width (cnngru, tcn)
+    learningRate: 0.001,
+    optimizer: 'adam',
+    batchSize: 32,
+    epochs: 100,
+    // Tail of the training samples that drives early stopping and LR scheduling
+    validationFraction: 0.15,
+    // Early stopping on val_loss
+    earlyStopping: true,
+    patience: 10,
+    minDelta: 0,
+    restoreBestWeights: true,
+    // Reduce learning rate when val_loss plateaus
+    reduceLrOnPlateau: true,
+    lrFactor: 0.5,
+    lrPatience: 5,
+    minLearningRate: 0.00001,
+    // Weight initialization seed; null draws a random initialization
+    seed: null,
+    // Monte Carlo dropout passes used for prediction intervals
+    mcSamples: 50
+};
+
+export class GRUModel {
     constructor() {
         this.model = null;
         this.isTraining = false;
-        this.trainingHistory = {
+        this.trainingHistory = this.createEmptyHistory();
+        this.inputShape = [60, 1]; // 60 days, 1 feature
+        this.outputShape = 5; // Forecast horizon in days (set from the data loader)
+        this.config = { ...DEFAULT_MODEL_CONFIG };
+    }
+
+    /**
+     * Create an empty training history record
+     * @returns {Object} - Training history
+     */
+    createEmptyHistory() {
+        return {
             loss: [],
             valLoss: [],
             mae: [],
             valMae: [],
-            epochs: []
+            epochs: [],
+            learningRate: [],
+            lrDrops: [], // { epoch, from, to }
+            bestEpoch: null,
+            stoppedEpoch: null // Set when early stopping ends training
         };
-        this.inputShape = [60, 1]; // 60 days, 1 feature
-        this.outputShape = 5; // Predict 5 days
     }
 
     /**
-     * Build and compile the GRU model
+     * Merge user settings into the current configuration
+     * @param {Object} config - Partial model/training configuration
+     * @returns {Object} - Resulting configuration
      */
-    buildModel() {
-        // Clear any existing model
-        if (this.model) {
-            this.model.dispose();
-        }
-
-        this.model = tf.sequential();
+    setConfig(config = {}) {
+        this.config = { ...this.config, ...config };
         
-        // First GRU layer
-        this.model.add(tf.layers.gru({
-            units: 128,
-            returnSequences: true,
-            inputShape: this.inputShape,
-            kernelInitializer: 'glorotNormal'
-        }));
+        // Keep dropout aligned with the number of layers
+        const dropout = [];
+        for (let i = 0; i < this.config.units.length; i++) {
+            const rate = this.config.dropout[i] ?? this.config.dropout[this.config.dropout.length - 1] ?? 0;
+            dropout.push(Math.min(Math.max(rate, 0), 0.9));
+        }
+        this.config.dropout = dropout;
         
-        // Dropout for regularization
-        this.model.add(tf.layers.dropout({ rate: 0.3 }));
+        return this.config;
+    }
+
+    /**
+     * Create the optimizer named in the configuration
+     * @returns {tf.Optimizer} - Optimizer instance
+     */
+    createOptimizer() {
+        const { optimizer, learningRate } = this.config;
         
-        // Second GRU layer
-        this.model.add(tf.layers.gru({
-            units: 64,
-            returnSequences: false,
-            kernelInitializer: 'glorotNormal'
-        }));
+        switch (optimizer) {
+            case 'adam':
+                return tf.train.adam(learningRate);
+            case 'rmsprop':
+                return tf.train.rmsprop(learningRate);
+            case 'sgd':
+                return tf.train.sgd(learningRate);
+            case 'adagrad':
+                return tf.train.adagrad(learningRate);
+            default:
+                throw new Error(`Unknown optimizer: ${optimizer}`);
+        }
+    }
+
+    /**
+     * Build and compile the model for the configured architecture
+     * @param {Object} config - Optional architecture settings (see DEFAULT_MODEL_CONFIG)
+     */
+    buildModel(config = {}) {
+        this.setConfig(config);
+        const { architecture, units, denseUnits, seed } = this.config;
         
-        // Dropout
-        this.model.add(tf.layers.dropout({ rate: 0.2 }));
+        if (units.length === 0) {
+            throw new Error('At least one layer is required');
+        }
+
+        // Clear any existing model
+        if (this.model) {
+            this.dispose();
+        }
+
+        // Architecture-specific backbone, with dropout after each layer or block
+        const input = tf.input({ shape: this.inputShape });
+        const init = createInitializers(seed);
+        let x = buildBackbone(architecture, input, this.config, init);
         
         // Dense layer
-        this.model.add(tf.layers.dense({
-            units: 32,
-            activation: 'relu',
-            kernelInitializer: 'heNormal'
-        }));
-        
-        // Output layer - predict 5 days
-        this.model.add(tf.layers.dense({
+        if (denseUnits > 0) {
+            x = tf.layers.dense({
+                units: denseUnits,
+                activation: 'relu',
+                kernelInitializer: init('heNormal')
+            }).apply(x);
+        }
+        
+        // Output layer - one unit per forecast day
+        const output = tf.layers.dense({
             units: this.outputShape,
             activation: 'linear',
-            kernelInitializer: 'glorotNormal'
-        }));
+            kernelInitializer: init('glorotNormal')
+        }).apply(x);
+        
+        this.model = tf.model({ inputs: input, outputs: output });
         
         // Compile model
         this.model.compile({
-            optimizer: tf.train.adam(0.001),
+            optimizer: this.createOptimizer(),
             loss: 'meanSquaredError',
             metrics: ['mae'] // Mean Absolute Error
         });
         
-        console.log('Model built successfully');
+        console.log('Model built successfully', this.config);
         
         return this.model;
     }
@@ -84,9 +168,10 @@ class GRUModel {
      * @param {tf.Tensor} X_val - Validation features
      * @param {tf.Tensor} y_val - Validation labels
      * @param {Object} callbacks - Training callbacks
+     * @param {Object} config - Optional training settings (batchSize, epochs)
      * @returns {Promise} - Training history
      */
-    async train(X_train, y_train, X_val, y_val, callbacks = {}) {
+    async train(X_train, y_train, X_val, y_val, callbacks = {}, config = {}) {
         if (!this.model) {
             throw new Error('Model not built. Call buildModel() first.');
         }
@@ -95,10 +180,28 @@ class GRUModel {
             throw new Error('Training data not provided');
         }
         
+        this.setConfig(config);
         this.isTraining = true;
+        this.trainingHistory = this.createEmptyHistory();
+        
+        const {
+            batchSize, epochs,
+            earlyStopping, patience, minDelta, restoreBestWeights,
+            reduceLrOnPlateau, lrFactor, lrPatience, minLearningRate
+        } = this.config;
+        
+        let learningRate = this.config.learningRate;
+        let bestValLoss = Infinity;
+        let bestWeights = null;
+        let epochsWithoutImprovement = 0;
+        let epochsSinceLrDrop = 0;
         
-        const batchSize = 32;
-        const epochs = 100;
+        const disposeBestWeights = () => {
+            if (bestWeights) {
+                bestWeights.forEach(tensor => tensor.dispose());
+                bestWeights = null;
+            }
+        };
         
         try {
             const history = await this.model.fit(X_train, y_train, {
@@ -106,19 +209,68 @@ class GRUModel {
                 epochs,
                 validationData: [X_val, y_val],
                 callbacks: {
+                    onBatchEnd: (batch, logs) => {
+                        if (callbacks.onBatchEnd) {
+                            callbacks.onBatchEnd(batch, logs);
+                        }
+                        
+                        // Stop requests take effect after the current batch
+                        if (!this.isTraining) {
+                            this.model.stopTraining = true;
+                        }
+                    },
                     onEpochEnd: (epoch, logs) => {
+                        // An epoch cut short by a stop request has no validation logs
+                        if (logs.val_loss === undefined) {
+                            return;
+                        }
+                        
                         // Store training history
                         this.trainingHistory.loss.push(logs.loss);
                         this.trainingHistory.valLoss.push(logs.val_loss);
                         this.trainingHistory.mae.push(logs.mae);
                         this.trainingHistory.valMae.push(logs.val_mae);
                         this.trainingHistory.epochs.push(epoch + 1);
+                        this.trainingHistory.learningRate.push(learningRate);
+                        
+                        // Track the best validation loss
+                        if (logs.val_loss < bestValLoss - minDelta) {
+                            bestValLoss = logs.val_loss;
+                            this.trainingHistory.bestEpoch = epoch + 1;
+                            epochsWithoutImprovement = 0;
+                            epochsSinceLrDrop = 0;
+                            
+                            if (restoreBestWeights) {
+                                disposeBestWeights();
+                                bestWeights = this.model.getWeights().map(w => w.clone());
+                            }
+                        } else {
+                            epochsWithoutImprovement++;
+                            epochsSinceLrDrop++;
+                        }
+                        
+                        // Reduce learning rate on plateau
+                        if (reduceLrOnPlateau && epochsSinceLrDrop >= lrPatience && learningRate > minLearningRate) {
+                            const newRate = Math.max(learningRate * lrFactor, minLearningRate);
+                            this.setLearningRate(newRate);
+                            this.trainingHistory.lrDrops.push({ epoch: epoch + 1, from: learningRate, to: newRate });
+                            console.log(`Epoch ${epoch + 1}: reducing learning rate to ${newRate}`);
+                            learningRate = newRate;
+                            epochsSinceLrDrop = 0;
+                        }
                         
                         // Call user callback if provided
                         if (callbacks.onEpochEnd) {
                             callbacks.onEpochEnd(epoch, logs);
                         }
                         
+                        // Early stopping
+                        if (earlyStopping && epochsWithoutImprovement >= patience) {
+                            this.trainingHistory.stoppedEpoch = epoch + 1;
+                            console.log(`Early stopping at epoch ${epoch + 1} (best epoch ${this.trainingHistory.bestEpoch})`);
+                            this.model.stopTraining = true;
+                        }
+                        
                         // Check if training should stop
                         if (!this.isTraining) {
                             this.model.stopTraining = true;
@@ -126,8 +278,15 @@ class GRUModel {
                     },
                     onTrainEnd: () => {
                         this.isTraining = false;
+                        
+                        // Roll back to the weights of the best epoch
+                        if (bestWeights) {
+                            this.model.setWeights(bestWeights);
+                            disposeBestWeights();
+                        }
+                        
                         if (callbacks.onTrainEnd) {
-                            callbacks.onTrainEnd();
+                            callbacks.onTrainEnd(this.trainingHistory);
                         }
                     }
                 },
@@ -138,10 +297,60 @@ class GRUModel {
             return history;
         } catch (error) {
             this.isTraining = false;
+            disposeBestWeights();
             throw error;
         }
     }
 
+    /**
+     * Continue training the current weights, e.g. on windows appended since the
+     * model was trained. The stored configuration and training history are kept,
+     * so saving afterwards persists the original settings.
+     * @param {tf.Tensor} X_train - Training features
+     * @param {tf.Tensor} y_train - Training labels
+     * @param {tf.Tensor} X_val - Validation features
+     * @param {tf.Tensor} y_val - Validation labels
+     * @param {Object} callbacks - Training callbacks
+     * @param {Object} options - { epochs, learningRate } for the fine-tune
+     * @returns {Promise<Object>} - History of the fine-tune
+     */
+    async fineTune(X_train, y_train, X_val, y_val, callbacks = {}, options = {}) {
+        if (!this.model) {
+            throw new Error('No model to fine-tune. Train or load a model first.');
+        }
+        
+        const savedConfig = { ...this.config };
+        const savedHistory = this.trainingHistory;
+        const learningRate = options.learningRate || savedConfig.learningRate;
+        
+        this.setLearningRate(learningRate);
+        try {
+            await this.train(X_train, y_train, X_val, y_val, callbacks, {
+                epochs: options.epochs || 5,
+                learningRate
+            });
+            return this.trainingHistory;
+        } finally {
+            this.config = savedConfig;
+            this.trainingHistory = savedHistory;
+            this.setLearningRate(savedConfig.learningRate);
+        }
+    }
+
+    /**
+     * Change the optimizer learning rate during training
+     * @param {number} learningRate - New learning rate
+     */
+    setLearningRate(learningRate) {
+        const optimizer = this.model.optimizer;
+        
+        if (typeof optimizer.setLearningRate === 'function') {
+            optimizer.setLearningRate(learningRate);
+        } else {
+            optimizer.learningRate = learningRate;
+        }
+    }
+
     /**
      * Stop training
      */
@@ -208,32 +417,167 @@ class GRUModel {
     }
 
     /**
-     * Save model weights
-     * @returns {Object} - Model weights
+     * Forecast with prediction intervals using Monte Carlo dropout.
+     * Dropout stays active at inference, so repeated passes sample
+     * from the model's predictive distribution.
+     * @param {tf.Tensor} latestWindow - Latest window of data
+     * @param {number} samples - Number of stochastic forward passes
+     * @returns {Object} - Normalized { mean, median, std, lower80, upper80, lower95, upper95, samples }
      */
-    async saveWeights() {
+    forecastWithIntervals(latestWindow, samples = this.config.mcSamples) {
         if (!this.model) {
             throw new Error('Model not trained');
         }
         
-        return await this.model.save('localstorage://sp500-gru-model');
+        if (!this.config.dropout.some(rate => rate > 0)) {
+            console.warn('All dropout rates are 0: Monte Carlo intervals will have zero width');
+        }
+        
+        // draws[h] holds every sampled value for horizon day h
+        const draws = Array.from({ length: this.outputShape }, () => []);
+        
+        for (let i = 0; i < samples; i++) {
+            const values = tf.tidy(() => 
+                this.model.apply(latestWindow, { training: true }).dataSync()
+            );
+            values.forEach((value, h) => draws[h].push(value));
+        }
+        
+        const quantile = (sorted, q) => {
+            const pos = (sorted.length - 1) * q;
+            const lo = Math.floor(pos);
+            const hi = Math.ceil(pos);
+            return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+        };
+        
+        const result = {
+            mean: [], median: [], std: [],
+            lower80: [], upper80: [], lower95: [], upper95: [],
+            samples
+        };
+        
+        draws.forEach(values => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            
+            result.mean.push(mean);
+            result.median.push(quantile(sorted, 0.5));
+            result.std.push(Math.sqrt(values.reduce((sq, v) => sq + (v - mean) ** 2, 0) / values.length));
+            result.lower80.push(quantile(sorted, 0.1));
+            result.upper80.push(quantile(sorted, 0.9));
+            result.lower95.push(quantile(sorted, 0.025));
+            result.upper95.push(quantile(sorted, 0.975));
+        });
+        
+        return result;
     }
 
     /**
-     * Load model weights
-     * @returns {boolean} - Success status
+     * Save the model, its configuration and training history
+     * @param {string|Object} destination - tf.io URL (indexeddb://, downloads://) or IOHandler
+     * @param {Object} metadata - Extra metadata stored with the model (e.g. preprocessing state)
+     * @returns {Object} - Save result from tf.io
      */
-    async loadWeights() {
+    async saveWeights(destination = 'indexeddb://sp500-gru-model', metadata = {}) {
+        if (!this.model) {
+            throw new Error('Model not trained');
+        }
+        
+        // User-defined metadata travels inside model.json, so downloads keep it too
+        this.model.setUserDefinedMetadata({
+            config: this.config,
+            inputShape: this.inputShape,
+            outputShape: this.outputShape,
+            trainingHistory: this.trainingHistory,
+            ...metadata
+        });
+        
+        return await this.model.save(destination);
+    }
+
+    /**
+     * Serialize the model and its metadata in memory, e.g. to pass it between
+     * the main thread and the training worker
+     * @param {Object} metadata - Extra metadata stored with the model
+     * @returns {Promise<Object>} - tf.io model artifacts (load with tf.io.fromMemory)
+     */
+    async toArtifacts(metadata = {}) {
+        let artifacts = null;
+        
+        await this.saveWeights(tf.io.withSaveHandler(async (modelArtifacts) => {
+            artifacts = modelArtifacts;
+            return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+        }), metadata);
+        
+        return artifacts;
+    }
+
+    /**
+     * Load a saved model and restore its configuration and training history
+     * @param {string|Object} source - tf.io URL (indexeddb://) or IOHandler (tf.io.browserFiles)
+     * @returns {Object|null} - Stored metadata, or null if nothing was found
+     */
+    async loadWeights(source = 'indexeddb://sp500-gru-model') {
+        let loaded;
         try {
-            // Check if weights exist
-            const modelArtifacts = localStorage.getItem('tensorflowjs_models/sp500-gru-model/model_info');
-            if (!modelArtifacts) {
-                return false;
+            loaded = await tf.loadLayersModel(source);
+        } catch (error) {
+            console.warn('Could not load model:', error.message);
+            return null;
+        }
+        
+        const metadata = loaded.getUserDefinedMetadata() || {};
+        
+        if (this.model) {
+            this.dispose();
+        }
+        
+        this.model = loaded;
+        if (metadata.config) {
+            // Models saved before architectures were selectable are stacked GRUs
+            this.setConfig({ architecture: 'gru', ...metadata.config });
+        }
+        this.inputShape = metadata.inputShape || loaded.inputs[0].shape.slice(1);
+        this.outputShape = metadata.outputShape || loaded.outputs[0].shape[1];
+        this.trainingHistory = { ...this.createEmptyHistory(), ...(metadata.trainingHistory || {}) };
+        
+        // Optimizer state is not persisted; compile so the model can be evaluated or fine-tuned
+        this.model.compile({
+            optimizer: this.createOptimizer(),
+            loss: 'meanSquaredError',
+            metrics: ['mae']
+        });
+        
+        console.log(`Model loaded from ${typeof source === 'string' ? source : 'artifacts'}${metadata.savedAt ? ` (saved ${metadata.savedAt})` : ''}`);
+        
+        return metadata;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this.model) {
+            if (this.model.optimizer) {
+                this.model.optimizer.dispose();
             }
-            
-            // Build model first
-            this.buildModel();
-            
-            // Load weights
-            await this.model.load('localstorage://sp500-gru-model');
-            console.log
+            this.model.dispose();
+            this.model = null;
+        }
+        this.isTraining = false;
+    }
+}
+
+/**
+ * Create a model wrapper for a configuration, e.g. to train several architectures side by side
+ * @param {Object} config - Model configuration (see DEFAULT_MODEL_CONFIG)
+ * @returns {GRUModel} - Unbuilt model with the configuration applied
+ */
+export function createModel(config = {}) {
+    const model = new GRUModel();
+    model.setConfig(config);
+    return model;
+}
+
+// Export singleton instance
+export const gruModel = new GRUModel();
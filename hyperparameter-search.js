@@ -0,0 +1,254 @@
+// hyperparameter-search.js
+/**
+ * Hyperparameter Search Module
+ * Grid, random and successive-halving search over model and window settings.
+ * Every trial trains a fresh model in the training worker on the training split
+ * with a reduced epoch budget and is scored on a validation tail, so the test
+ * set stays untouched.
+ */
+
+import { dataLoader } from './data-loader.js';
+import { trainingClient } from './training-client.js';
+import { horizonMetrics, summarizeMetrics } from './metrics.js';
+
+/**
+ * Default values tried for each hyperparameter
+ */
+export const DEFAULT_SEARCH_SPACE = {
+    units: [[64], [128, 64], [64, 32]], // Layer sizes
+    dropout: [0.1, 0.2, 0.3], // Applied to every layer
+    learningRate: [0.0005, 0.001, 0.003],
+    sequenceLength: [30, 60, 90], // Lookback window in days
+    batchSize: [32, 64]
+};
+
+/**
+ * Default search settings
+ */
+export const DEFAULT_SEARCH_CONFIG = {
+    strategy: 'random', // 'grid', 'random' or 'halving'
+    trials: 10, // Sampled configurations (random and halving)
+    epochs: 10, // Epochs per trial (first rung for halving)
+    halvingFactor: 3, // Halving keeps the best 1/factor and multiplies epochs by factor
+    validationFraction: 0.15 // Tail of the training samples used for scoring
+};
+
+class HyperparameterSearch {
+    constructor() {
+        this.isRunning = false;
+        this.model = null;
+        this.results = null;
+    }
+
+    /**
+     * Every combination of the search space
+     * @param {Object} space - Hyperparameter name -> candidate values
+     * @returns {Array} - Parameter objects
+     */
+    gridConfigurations(space) {
+        return Object.entries(space).reduce((combinations, [name, values]) =>
+            combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))),
+        [{}]);
+    }
+
+    /**
+     * Distinct random combinations of the search space
+     * @param {Object} space - Hyperparameter name -> candidate values
+     * @param {number} count - Number of configurations
+     * @returns {Array} - Parameter objects (fewer if the space is smaller)
+     */
+    randomConfigurations(space, count) {
+        const grid = this.gridConfigurations(space);
+
+        // Partial Fisher-Yates shuffle
+        for (let i = 0; i < Math.min(count, grid.length); i++) {
+            const j = i + Math.floor(Math.random() * (grid.length - i));
+            [grid[i], grid[j]] = [grid[j], grid[i]];
+        }
+
+        return grid.slice(0, count);
+    }
+
+    /**
+     * Run the search
+     * @param {Object} options - Search settings (see DEFAULT_SEARCH_CONFIG)
+     * @param {Object} options.space - Search space (see DEFAULT_SEARCH_SPACE)
+     * @param {Object} options.modelConfig - Base model configuration the trials override
+     * @param {Function} options.onTrialEnd - Called with (trial, trialsDone, trialsPlanned)
+     * @param {Function} options.onEpochEnd - Called with (trialIndex, epoch, logs)
+     * @returns {Promise<Object>} - { trials, best, config } with trials sorted best first
+     */
+    async run(options = {}) {
+        const { space = DEFAULT_SEARCH_SPACE, modelConfig = {}, onTrialEnd, onEpochEnd, ...settings } = options;
+        const config = { ...DEFAULT_SEARCH_CONFIG, ...settings };
+
+        if (!dataLoader.sequenceSource) {
+            throw new Error('No sequences available. Load and preprocess data first.');
+        }
+
+        let candidates = config.strategy === 'grid'
+            ? this.gridConfigurations(space)
+            : this.randomConfigurations(space, config.trials);
+
+        if (candidates.length === 0) {
+            throw new Error('The search space is empty');
+        }
+
+        // Successive halving trains several rungs; the other strategies train one
+        const rungs = [];
+        if (config.strategy === 'halving') {
+            for (let n = candidates.length; n >= 1; n = Math.floor(n / config.halvingFactor)) {
+                rungs.push(n);
+                if (n === 1) break;
+            }
+        } else {
+            rungs.push(candidates.length);
+        }
+        const planned = rungs.reduce((a, b) => a + b, 0);
+
+        const trials = [];
+        const sequences = new Map(); // Lookback -> tuning sequences, built once per run
+        let epochs = config.epochs;
+
+        this.isRunning = true;
+
+        try {
+            for (let rung = 0; rung < rungs.length && this.isRunning; rung++) {
+                const rungTrials = [];
+
+                for (const params of candidates.slice(0, rungs[rung])) {
+                    if (!this.isRunning) break;
+
+                    // Hyperparameters left out of the space keep their current values
+                    const lookback = params.sequenceLength ?? dataLoader.sequenceLength;
+                    if (!sequences.has(lookback)) {
+                        sequences.set(lookback, dataLoader.getTuningSequences(lookback, config.validationFraction));
+                    }
+
+                    const trialIndex = trials.length;
+                    const trial = await this.runTrial(sequences.get(lookback), params, modelConfig, epochs, {
+                        onEpochEnd: (epoch, logs) => onEpochEnd && onEpochEnd(trialIndex, epoch, logs)
+                    });
+                    if (!this.isRunning) {
+                        // Interrupted trials are not comparable
+                        break;
+                    }
+                    trial.id = trials.length + 1;
+                    trial.rung = rung + 1;
+                    trials.push(trial);
+                    rungTrials.push(trial);
+
+                    if (onTrialEnd) {
+                        onTrialEnd(trial, trials.length, planned);
+                    }
+
+                    // Let the browser repaint between trials
+                    await tf.nextFrame();
+                }
+
+                // Promote the best configurations to the next rung with a larger budget
+                rungTrials.sort((a, b) => a.valRmse - b.valRmse);
+                candidates = rungTrials.map(trial => trial.params);
+                epochs *= config.halvingFactor;
+            }
+        } finally {
+            this.isRunning = false;
+            this.disposeModel();
+        }
+
+        // Later rungs trained longer, so they rank ahead of earlier ones
+        trials.sort((a, b) => b.rung - a.rung || a.valRmse - b.valRmse);
+
+        this.results = { trials, best: trials[0] || null, config };
+        return this.results;
+    }
+
+    /**
+     * Train one configuration and score it on the validation samples
+     * @param {Object} data - Output of dataLoader.getTuningSequences()
+     * @param {Object} params - Trial hyperparameters
+     * @param {Object} modelConfig - Base model configuration
+     * @param {number} epochs - Epoch budget
+     * @param {Object} callbacks - Training progress callbacks (onEpochEnd)
+     * @returns {Promise<Object>} - { params, epochs, bestEpoch, valLoss, valMae, valRmse, valMape, seconds }
+     */
+    async runTrial(data, params, modelConfig, epochs, callbacks = {}) {
+        const { X, y, anchors, scalers, trainEnd, valStart } = data;
+        const { sequenceLength, dropout, ...modelParams } = params;
+        const trialConfig = {
+            ...modelConfig,
+            ...modelParams,
+            ...(dropout !== undefined ? { dropout: [dropout] } : {}),
+            epochs
+        };
+
+        this.disposeModel();
+
+        const X_train = tf.tensor3d(X.slice(0, trainEnd));
+        const y_train = tf.tensor2d(y.slice(0, trainEnd));
+        const X_val = tf.tensor3d(X.slice(valStart));
+        const y_val = tf.tensor2d(y.slice(valStart));
+        const startTime = Date.now();
+
+        try {
+            this.model = await trainingClient.trainModel({
+                inputShape: [X[0].length, X[0][0].length],
+                outputShape: y[0].length,
+                config: trialConfig
+            }, { X_train, y_train, X_val, y_val }, callbacks);
+            if (!this.isRunning) {
+                // The caller drops interrupted trials
+                return null;
+            }
+
+            // Score in price space so different lookbacks and scalers compare fairly
+            const output = this.model.predict(X_val);
+            const predicted = output.arraySync().map((values, i) =>
+                scalers.target.inverseTransform(values, anchors[valStart + i])
+            );
+            output.dispose();
+            const actual = y.slice(valStart).map((values, i) =>
+                scalers.target.inverseTransform(values, anchors[valStart + i])
+            );
+            const summary = summarizeMetrics(horizonMetrics(predicted, actual));
+            const history = this.model.trainingHistory;
+
+            return {
+                params,
+                epochs: history.epochs.length,
+                bestEpoch: history.bestEpoch,
+                valLoss: Math.min(...history.valLoss),
+                valMae: summary.mae,
+                valRmse: summary.rmse,
+                valMape: summary.mape,
+                seconds: (Date.now() - startTime) / 1000
+            };
+        } finally {
+            X_train.dispose();
+            y_train.dispose();
+            X_val.dispose();
+            y_val.dispose();
+        }
+    }
+
+    /**
+     * Stop after the current trial
+     */
+    stop() {
+        this.isRunning = false;
+        trainingClient.stop();
+    }
+
+    /**
+     * Release the trial model
+     */
+    disposeModel() {
+        if (this.model) {
+            this.model.dispose();
+        }
+        this.model = null;
+    }
+}
+
+// Export singleton instance
+export const hyperparameterSearch = new HyperparameterSearch();
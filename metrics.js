@@ -0,0 +1,142 @@
+// metrics.js
+/**
+ * Forecast Metrics Module
+ * Error measures shared by evaluation, backtesting and baseline comparison
+ */
+
+/**
+ * Compute MAE, RMSE and MAPE for each horizon day
+ * @param {Array} predicted - One forecast vector per sample (price space)
+ * @param {Array} actual - One realized vector per sample (price space)
+ * @returns {Array} - One { day, mae, rmse, mape, count } per horizon day
+ */
+export function horizonMetrics(predicted, actual) {
+    const horizon = predicted.length > 0 ? predicted[0].length : 0;
+    const metrics = [];
+
+    for (let h = 0; h < horizon; h++) {
+        let absSum = 0;
+        let sqSum = 0;
+        let pctSum = 0;
+
+        predicted.forEach((forecast, i) => {
+            const error = forecast[h] - actual[i][h];
+            absSum += Math.abs(error);
+            sqSum += error * error;
+            pctSum += Math.abs(error / actual[i][h]);
+        });
+
+        const count = predicted.length || 1;
+        metrics.push({
+            day: h + 1,
+            mae: absSum / count,
+            rmse: Math.sqrt(sqSum / count),
+            mape: (pctSum / count) * 100,
+            count: predicted.length
+        });
+    }
+
+    return metrics;
+}
+
+/**
+ * Average per-horizon metrics into a single summary
+ * @param {Array} metrics - Output of horizonMetrics()
+ * @returns {Object} - { mae, rmse, mape }
+ */
+export function summarizeMetrics(metrics) {
+    const n = metrics.length || 1;
+
+    return {
+        mae: metrics.reduce((sum, m) => sum + m.mae, 0) / n,
+        // RMSE is averaged in squared space so it stays an RMSE
+        rmse: Math.sqrt(metrics.reduce((sum, m) => sum + m.rmse * m.rmse, 0) / n),
+        mape: metrics.reduce((sum, m) => sum + m.mape, 0) / n
+    };
+}
+
+/**
+ * Forecast errors (actual - predicted) for one horizon day
+ * @param {Array} predicted - One forecast vector per sample
+ * @param {Array} actual - One realized vector per sample
+ * @param {number} day - Horizon day (1-based)
+ * @returns {Array} - Residual per sample
+ */
+export function residuals(predicted, actual, day = 1) {
+    return predicted.map((forecast, i) => actual[i][day - 1] - forecast[day - 1]);
+}
+
+/**
+ * Sample autocorrelation function
+ * @param {Array} series - Values
+ * @param {number} maxLag - Largest lag
+ * @returns {Array} - { lag, value } for lags 1..maxLag, plus the ±1.96/√n white-noise bound
+ */
+export function autocorrelation(series, maxLag = 20) {
+    const n = series.length;
+    const mean = series.reduce((a, b) => a + b, 0) / (n || 1);
+    const denominator = series.reduce((sum, v) => sum + (v - mean) ** 2, 0) || 1;
+    const bound = 1.96 / Math.sqrt(n || 1);
+    const result = [];
+
+    for (let lag = 1; lag <= Math.min(maxLag, n - 1); lag++) {
+        let numerator = 0;
+        for (let t = lag; t < n; t++) {
+            numerator += (series[t] - mean) * (series[t - lag] - mean);
+        }
+        result.push({ lag, value: numerator / denominator, bound });
+    }
+
+    return result;
+}
+
+/**
+ * Equal-width histogram
+ * @param {Array} values - Values
+ * @param {number} bins - Number of bins
+ * @returns {Array} - { from, to, count } per bin
+ */
+export function histogram(values, bins = 30) {
+    if (values.length === 0) {
+        return [];
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(v => {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
+    const width = (max - min) / bins || 1;
+    const counts = new Array(bins).fill(0);
+
+    values.forEach(v => {
+        counts[Math.min(Math.floor((v - min) / width), bins - 1)]++;
+    });
+
+    return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+}
+
+/**
+ * Share of forecasts that call the direction of the move correctly
+ * @param {Array} predicted - One forecast vector per sample
+ * @param {Array} actual - One realized vector per sample
+ * @param {Array} reference - Last observed price per sample
+ * @returns {Array} - { day, hitRate, count } per horizon day (hitRate in %)
+ */
+export function directionalAccuracy(predicted, actual, reference) {
+    const horizon = predicted.length > 0 ? predicted[0].length : 0;
+    const result = [];
+
+    for (let h = 0; h < horizon; h++) {
+        let hits = 0;
+        predicted.forEach((forecast, i) => {
+            if (Math.sign(forecast[h] - reference[i]) === Math.sign(actual[i][h] - reference[i])) {
+                hits++;
+            }
+        });
+        result.push({ day: h + 1, hitRate: predicted.length ? hits / predicted.length * 100 : 0, count: predicted.length });
+    }
+
+    return result;
+}
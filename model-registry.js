@@ -0,0 +1,130 @@
+// model-registry.js
+/**
+ * Model Registry Module
+ * Named model versions in IndexedDB, plus file download/upload.
+ * Preprocessing state and training history are stored in the model's
+ * user-defined metadata so they survive both storage paths.
+ */
+
+import { dataLoader } from './data-loader.js';
+import { gruModel } from './gru.js';
+
+const REGISTRY_PREFIX = 'indexeddb://sp500-gru/';
+
+class ModelRegistry {
+    /**
+     * Validate a model name and build its storage URL
+     * @param {string} name - Model name
+     * @returns {string} - IndexedDB URL
+     */
+    toUrl(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Model name is required');
+        }
+        if (!/^[\w\-. ]+$/.test(trimmed)) {
+            throw new Error('Model name may only contain letters, numbers, spaces, ".", "-" and "_"');
+        }
+        return `${REGISTRY_PREFIX}${trimmed}`;
+    }
+
+    /**
+     * Metadata describing the current preprocessing and save time
+     * @returns {Object} - Metadata stored with the model
+     */
+    buildMetadata() {
+        return {
+            preprocessing: dataLoader.getPreprocessingState(),
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Save the trained gruModel under a name
+     * @param {string} name - Model name (existing versions are overwritten)
+     * @returns {Promise<Object>} - tf.io save result
+     */
+    async save(name) {
+        const url = this.toUrl(name);
+        const result = await gruModel.saveWeights(url, this.buildMetadata());
+        console.log(`Model saved to ${url}`);
+        return result;
+    }
+
+    /**
+     * Load a named model into gruModel and restore its preprocessing state
+     * @param {string} name - Model name
+     * @returns {Promise<Object>} - Stored metadata
+     */
+    async load(name) {
+        const metadata = await gruModel.loadWeights(this.toUrl(name));
+        if (!metadata) {
+            throw new Error(`Model "${name}" not found`);
+        }
+
+        dataLoader.restorePreprocessingState(metadata.preprocessing);
+        return metadata;
+    }
+
+    /**
+     * Delete a named model
+     * @param {string} name - Model name
+     */
+    async remove(name) {
+        await tf.io.removeModel(this.toUrl(name));
+        console.log(`Model "${name}" deleted`);
+    }
+
+    /**
+     * List saved models, newest first
+     * @returns {Promise<Array>} - { name, dateSaved, sizeBytes }
+     */
+    async list() {
+        const models = await tf.io.listModels();
+
+        return Object.entries(models)
+            .filter(([url]) => url.startsWith(REGISTRY_PREFIX))
+            .map(([url, info]) => ({
+                name: url.slice(REGISTRY_PREFIX.length),
+                dateSaved: info.dateSaved,
+                sizeBytes: (info.modelTopologyBytes || 0) + (info.weightDataBytes || 0)
+            }))
+            .sort((a, b) => new Date(b.dateSaved) - new Date(a.dateSaved));
+    }
+
+    /**
+     * Download the current gruModel as model.json + weights.bin
+     * @param {string} name - File name prefix
+     * @returns {Promise<Object>} - tf.io save result
+     */
+    async download(name = 'sp500-gru-model') {
+        const fileName = (name || 'sp500-gru-model').trim().replace(/[^\w\-.]+/g, '_');
+        return await gruModel.saveWeights(`downloads://${fileName}`, this.buildMetadata());
+    }
+
+    /**
+     * Load a model from user-selected files (model.json plus weight files)
+     * @param {FileList|Array} files - Files from an <input type="file" multiple>
+     * @returns {Promise<Object>} - Stored metadata
+     */
+    async upload(files) {
+        const fileList = Array.from(files || []);
+        const jsonFile = fileList.find(file => file.name.endsWith('.json'));
+        const weightFiles = fileList.filter(file => file !== jsonFile);
+
+        if (!jsonFile || weightFiles.length === 0) {
+            throw new Error('Select the model .json file together with its .bin weight files');
+        }
+
+        const metadata = await gruModel.loadWeights(tf.io.browserFiles([jsonFile, ...weightFiles]));
+        if (!metadata) {
+            throw new Error('Uploaded files do not contain a valid model');
+        }
+
+        dataLoader.restorePreprocessingState(metadata.preprocessing);
+        return metadata;
+    }
+}
+
+// Export singleton instance
+export const modelRegistry = new ModelRegistry();
@@ -0,0 +1,878 @@
+const ydb = require('ydb');
+const crypto = require('crypto');
+
+// Инициализация драйвера YDB
+let driver;
+
+async function initDriver() {
+    if (!driver) {
+        driver = new ydb.Driver({
+            endpoint: process.env.ENDPOINT,
+            database: process.env.DATABASE,
+            credentials: ydb.iam.MetadataUrlCredentials(),
+        });
+        await driver.ready();
+    }
+}
+
+// Ошибка с HTTP-статусом, которую обработчик возвращает клиенту
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+// Схема проверяется один раз на экземпляр функции, а не на каждый запрос
+let schemaReady = false;
+
+// Создание таблиц user_notes и users при первом запуске
+async function createTable() {
+    if (schemaReady) {
+        return;
+    }
+
+    const session = await driver.createSession();
+    try {
+        // Заметки хранятся по владельцу: все запросы идут по префиксу ключа user_id
+        await session.execute({
+            text: `
+                CREATE TABLE IF NOT EXISTS user_notes (
+                    user_id Utf8,
+                    id Utf8,
+                    text Utf8,
+                    timestamp Timestamp,
+                    created_at Timestamp,
+                    updated_at Timestamp,
+                    deleted_at Timestamp,
+                    PRIMARY KEY (user_id, id)
+                );
+            `
+        });
+
+        await session.execute({
+            text: `
+                CREATE TABLE IF NOT EXISTS users (
+                    login Utf8,
+                    user_id Utf8,
+                    password_hash Utf8,
+                    created_at Timestamp,
+                    PRIMARY KEY (login)
+                );
+            `
+        });
+
+        await migrateLegacyNotes(session);
+
+        schemaReady = true;
+    } finally {
+        await session.close();
+    }
+}
+
+// Владелец заметок из таблицы notes, созданной до появления пользователей
+function legacyNotesOwner() {
+    return (process.env.LEGACY_NOTES_OWNER || '').trim().toLowerCase();
+}
+
+// Перенос заметок из старой таблицы notes (ключ id) в user_notes (ключ user_id, id).
+// Заметки без user_id достаются пользователю с логином из LEGACY_NOTES_OWNER;
+// пока он не задан или не зарегистрирован, старая таблица остаётся нетронутой.
+// После копирования старая таблица удаляется, поэтому перенос выполняется один раз.
+async function migrateLegacyNotes(session) {
+    let legacy;
+    try {
+        legacy = await session.describeTable('notes');
+    } catch (err) {
+        // Старой таблицы нет — переносить нечего
+        if (/not found|does not exist/i.test(err.message)) {
+            return;
+        }
+        throw err;
+    }
+
+    const login = legacyNotesOwner();
+    const owner = login ? await findUser(session, login) : null;
+    if (!owner) {
+        console.warn(`Заметки из таблицы notes не перенесены: владелец ${login ? `${login} не зарегистрирован` : 'не задан в LEGACY_NOTES_OWNER'}`);
+        return;
+    }
+
+    // В таблицах первой версии части колонок нет
+    const columns = new Set(legacy.columns.map(column => column.name));
+    const column = (name) => columns.has(name) ? `n.${name}` : 'NULL';
+    const userId = columns.has('user_id') ? 'COALESCE(n.user_id, $owner)' : '$owner';
+
+    // LEFT ONLY JOIN пропускает уже перенесённые заметки, если прошлый перенос прервался
+    await session.execute({
+        text: `
+            INSERT INTO user_notes (user_id, id, text, timestamp, created_at, updated_at, deleted_at)
+            SELECT
+                ${userId} AS user_id,
+                n.id AS id,
+                n.text AS text,
+                n.timestamp AS timestamp,
+                ${column('created_at')} AS created_at,
+                ${column('updated_at')} AS updated_at,
+                ${column('deleted_at')} AS deleted_at
+            FROM notes AS n
+            LEFT ONLY JOIN user_notes AS u ON u.id = n.id;
+        `,
+        parameters: {
+            '$owner': ydb.PrimitiveTypeUtf8().createOptionalValue(owner.user_id)
+        }
+    });
+
+    await session.execute({ text: `DROP TABLE notes;` });
+    console.log(`Заметки из таблицы notes перенесены пользователю ${login}`);
+}
+
+// Срок действия токена
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Токены подписываются секретом из переменной окружения AUTH_SECRET
+function signToken(data) {
+    const secret = process.env.AUTH_SECRET;
+    if (!secret) {
+        throw new Error("Не задана переменная окружения AUTH_SECRET");
+    }
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Выпуск токена (JWT, HS256) для пользователя { id, login }.
+// Экспортируется, чтобы тесты и локальные скрипты могли получить токен без входа.
+function issueToken(user, ttlSeconds = TOKEN_TTL_SECONDS) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({
+        sub: user.id,
+        login: user.login,
+        iat: now,
+        exp: now + ttlSeconds
+    })).toString('base64url');
+    return `${header}.${payload}.${signToken(`${header}.${payload}`)}`;
+}
+
+// Проверка подписи и срока токена; возвращает пользователя { id, login }
+function verifyToken(token) {
+    const [header, payload, signature, ...rest] = String(token).split('.');
+    if (!header || !payload || !signature || rest.length) {
+        throw new HttpError(401, "Некорректный токен");
+    }
+
+    const expected = Buffer.from(signToken(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new HttpError(401, "Некорректный токен");
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new HttpError(401, "Некорректный токен");
+    }
+    if (typeof claims.sub !== 'string' || !claims.sub) {
+        throw new HttpError(401, "Некорректный токен");
+    }
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) {
+        throw new HttpError(401, "Срок действия токена истёк, войдите снова");
+    }
+
+    return { id: claims.sub, login: claims.login };
+}
+
+// Пользователь из заголовка Authorization: Bearer <токен>
+function authenticate(event) {
+    const headers = event.headers || {};
+    const name = Object.keys(headers).find(key => key.toLowerCase() === 'authorization');
+    const match = name && /^Bearer\s+(\S+)$/i.exec(headers[name]);
+    if (!match) {
+        throw new HttpError(401, "Требуется вход");
+    }
+    return verifyToken(match[1]);
+}
+
+// Хеш пароля в виде scrypt$<соль>$<хеш>
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Проверка логина и пароля из запроса; логин приводится к нижнему регистру
+function validateCredentials(body) {
+    const login = typeof body.login === 'string' ? body.login.trim().toLowerCase() : '';
+    if (!/^[a-z0-9._@-]{3,64}$/.test(login)) {
+        throw new HttpError(400, "Логин: от 3 до 64 символов — латинские буквы, цифры и . _ @ -");
+    }
+    if (typeof body.password !== 'string' || body.password.length < 8) {
+        throw new HttpError(400, "Пароль должен быть не короче 8 символов");
+    }
+    return { login, password: body.password };
+}
+
+async function findUser(session, login) {
+    const result = await session.execute({
+        text: `
+            SELECT login, user_id, password_hash
+            FROM users
+            WHERE login = $login;
+        `,
+        parameters: {
+            '$login': ydb.PrimitiveTypeUtf8().createOptionalValue(login)
+        }
+    });
+    return result.resultSets[0].rows[0] || null;
+}
+
+// Регистрация: создаёт пользователя и сразу выдаёт токен
+async function registerUser(body) {
+    const { login, password } = validateCredentials(body);
+
+    const session = await driver.createSession();
+    try {
+        const user = { id: crypto.randomUUID(), login };
+        // Занятость логина проверяет сам INSERT: отдельный SELECT перед ним
+        // не защищает от одновременной регистрации того же логина
+        try {
+            await session.execute({
+                text: `
+                    INSERT INTO users (login, user_id, password_hash, created_at)
+                    VALUES ($login, $user_id, $password_hash, $created_at);
+                `,
+                parameters: {
+                    '$login': ydb.PrimitiveTypeUtf8().createOptionalValue(login),
+                    '$user_id': ydb.PrimitiveTypeUtf8().createOptionalValue(user.id),
+                    '$password_hash': ydb.PrimitiveTypeUtf8().createOptionalValue(hashPassword(password)),
+                    '$created_at': ydb.PrimitiveTypeTimestamp().createOptionalValue(new Date())
+                }
+            });
+        } catch (err) {
+            // Конфликт первичного ключа: такой login уже есть
+            if (/existing key|already exists/i.test(err.message)) {
+                throw new HttpError(409, "Такой логин уже занят");
+            }
+            throw err;
+        }
+
+        // Старые заметки ждали регистрации своего владельца
+        if (login === legacyNotesOwner()) {
+            await migrateLegacyNotes(session);
+        }
+        return { token: issueToken(user), user };
+    } finally {
+        await session.close();
+    }
+}
+
+// Вход по логину и паролю
+async function loginUser(body) {
+    const { login, password } = validateCredentials(body);
+
+    const session = await driver.createSession();
+    try {
+        const row = await findUser(session, login);
+        if (!row || !checkPassword(password, row.password_hash)) {
+            throw new HttpError(401, "Неверный логин или пароль");
+        }
+
+        const user = { id: row.user_id, login: row.login };
+        return { token: issueToken(user), user };
+    } finally {
+        await session.close();
+    }
+}
+
+// Преобразование строки таблицы в заметку для клиента
+function toNote(row) {
+    return {
+        id: row.id,
+        text: row.text,
+        timestamp: row.timestamp.toISOString(),
+        // У заметок из первой версии таблицы нет отдельных меток времени
+        createdAt: (row.created_at || row.timestamp).toISOString(),
+        updatedAt: (row.updated_at || row.created_at || row.timestamp).toISOString(),
+        deletedAt: row.deleted_at ? row.deleted_at.toISOString() : null
+    };
+}
+
+// Проверка текста и даты заметки из запроса. При обновлении (partial)
+// проверяются только переданные поля: без текста остаётся прежний
+function validateNote(note, { partial = false } = {}) {
+    if (!note) {
+        throw new HttpError(400, "Нет данных заметки");
+    }
+    if ((!partial || note.text !== undefined) && (typeof note.text !== 'string' || !note.text.trim())) {
+        throw new HttpError(400, "Текст заметки не может быть пустым");
+    }
+    if (note.timestamp !== undefined && isNaN(new Date(note.timestamp).getTime())) {
+        throw new HttpError(400, "Некорректная дата заметки");
+    }
+}
+
+// Чтение заметки пользователя по id внутри открытой сессии (вместе с удалёнными)
+async function findNote(session, userId, id) {
+    const result = await session.execute({
+        text: `
+            SELECT id, text, timestamp, created_at, updated_at, deleted_at
+            FROM user_notes
+            WHERE user_id = $user_id AND id = $id;
+        `,
+        parameters: {
+            '$user_id': ydb.PrimitiveTypeUtf8().createOptionalValue(userId),
+            '$id': ydb.PrimitiveTypeUtf8().createOptionalValue(id)
+        }
+    });
+    const row = result.resultSets[0].rows[0];
+    return row ? toNote(row) : null;
+}
+
+// Запись всех полей заметки пользователя внутри открытой сессии
+async function writeNote(session, userId, note) {
+    await session.execute({
+        text: `
+            UPSERT INTO user_notes (user_id, id, text, timestamp, created_at, updated_at, deleted_at)
+            VALUES ($user_id, $id, $text, $timestamp, $created_at, $updated_at, $deleted_at);
+        `,
+        parameters: {
+            '$user_id': ydb.PrimitiveTypeUtf8().createOptionalValue(userId),
+            '$id': ydb.PrimitiveTypeUtf8().createOptionalValue(note.id),
+            '$text': ydb.PrimitiveTypeUtf8().createOptionalValue(note.text),
+            '$timestamp': ydb.PrimitiveTypeTimestamp().createOptionalValue(new Date(note.timestamp)),
+            '$created_at': ydb.PrimitiveTypeTimestamp().createOptionalValue(new Date(note.createdAt)),
+            '$updated_at': ydb.PrimitiveTypeTimestamp().createOptionalValue(new Date(note.updatedAt)),
+            '$deleted_at': ydb.PrimitiveTypeTimestamp().createOptionalValue(note.deletedAt ? new Date(note.deletedAt) : null)
+        }
+    });
+}
+
+// Создание заметки: id и метки времени назначает сервер
+async function saveNote(userId, note) {
+    validateNote(note);
+
+    const now = new Date().toISOString();
+    const saved = {
+        id: crypto.randomUUID(),
+        text: note.text.trim(),
+        // Дата заметки в календаре; по умолчанию — момент создания
+        timestamp: note.timestamp ? new Date(note.timestamp).toISOString() : now,
+        createdAt: now,
+        updatedAt: now,
+        deletedAt: null
+    };
+
+    const session = await driver.createSession();
+    try {
+        await writeNote(session, userId, saved);
+        return saved;
+    } finally {
+        await session.close();
+    }
+}
+
+// Получение заметки по id
+async function getNote(userId, id) {
+    const session = await driver.createSession();
+    try {
+        const note = await findNote(session, userId, id);
+        if (!note || note.deletedAt) {
+            throw new HttpError(404, "Заметка не найдена");
+        }
+        return note;
+    } finally {
+        await session.close();
+    }
+}
+
+// Изменение текста или даты заметки.
+// Если клиент передал updatedAt, а заметку успели изменить, возвращается 409.
+async function updateNote(userId, id, changes) {
+    validateNote(changes, { partial: true });
+
+    const session = await driver.createSession();
+    try {
+        const note = await findNote(session, userId, id);
+        if (!note || note.deletedAt) {
+            throw new HttpError(404, "Заметка не найдена");
+        }
+        if (changes.updatedAt && changes.updatedAt !== note.updatedAt) {
+            throw new HttpError(409, "Заметка была изменена в другом месте. Обновите страницу.");
+        }
+
+        const updated = {
+            ...note,
+            text: changes.text !== undefined ? changes.text.trim() : note.text,
+            timestamp: changes.timestamp ? new Date(changes.timestamp).toISOString() : note.timestamp,
+            updatedAt: new Date().toISOString()
+        };
+        await writeNote(session, userId, updated);
+        return updated;
+    } finally {
+        await session.close();
+    }
+}
+
+// Мягкое удаление: заметка скрывается, но её можно восстановить
+async function deleteNote(userId, id) {
+    const session = await driver.createSession();
+    try {
+        const note = await findNote(session, userId, id);
+        if (!note || note.deletedAt) {
+            throw new HttpError(404, "Заметка не найдена");
+        }
+
+        const now = new Date().toISOString();
+        const deleted = { ...note, deletedAt: now, updatedAt: now };
+        await writeNote(session, userId, deleted);
+        return deleted;
+    } finally {
+        await session.close();
+    }
+}
+
+// Восстановление удалённой заметки
+async function restoreNote(userId, id) {
+    const session = await driver.createSession();
+    try {
+        const note = await findNote(session, userId, id);
+        if (!note) {
+            throw new HttpError(404, "Заметка не найдена");
+        }
+        if (!note.deletedAt) {
+            throw new HttpError(409, "Заметка не удалена");
+        }
+
+        const restored = { ...note, deletedAt: null, updatedAt: new Date().toISOString() };
+        await writeNote(session, userId, restored);
+        return restored;
+    } finally {
+        await session.close();
+    }
+}
+
+// Размер страницы списка по умолчанию и максимальный
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Сколько заметок максимум читает анализ
+const MAX_ANALYZE_NOTES = 1000;
+
+// Курсор — позиция последней выданной заметки (timestamp + id) в base64
+function encodeCursor(note) {
+    return Buffer.from(JSON.stringify({ timestamp: note.timestamp, id: note.id })).toString('base64');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { timestamp, id } = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+        if (typeof id !== 'string' || isNaN(new Date(timestamp).getTime())) {
+            throw new Error();
+        }
+        return { timestamp: new Date(timestamp), id };
+    } catch (err) {
+        throw new HttpError(400, "Некорректный курсор");
+    }
+}
+
+function parseDate(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new HttpError(400, `Некорректная дата в параметре ${name}`);
+    }
+    return date;
+}
+
+// Смещение часового пояса timeZone в момент utcMillis, в минутах,
+// с тем же знаком, что у Date.getTimezoneOffset() (для Москвы -180)
+function zoneOffset(timeZone, utcMillis) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(utcMillis)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((utcMillis - local) / 60000);
+}
+
+// Полночь 1-го числа месяца в часовом поясе клиента.
+// Смещение берётся на сам этот момент: у начала и конца месяца
+// оно разное, если внутри месяца переход на летнее время.
+function localMonthStart(year, monthIndex, tz) {
+    const midnight = Date.UTC(year, monthIndex, 1);
+    if (typeof tz === 'number') {
+        return new Date(midnight + tz * 60000);
+    }
+    // Смещение на полночь UTC уточняется смещением на найденный момент
+    const guess = midnight + zoneOffset(tz, midnight) * 60000;
+    return new Date(midnight + zoneOffset(tz, guess) * 60000);
+}
+
+// Часовой пояс клиента: имя IANA (Europe/Moscow) или, как раньше,
+// постоянное смещение в минутах, как у Date.getTimezoneOffset()
+function parseTimeZone(tz) {
+    if (tz === undefined || tz === '') {
+        return 0;
+    }
+    if (/^[+-]?\d+$/.test(String(tz))) {
+        const offset = Number(tz);
+        if (Math.abs(offset) > 14 * 60) {
+            throw new HttpError(400, "tz должен быть часовым поясом IANA или смещением в минутах");
+        }
+        return offset;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    } catch (err) {
+        throw new HttpError(400, "tz должен быть часовым поясом IANA или смещением в минутах");
+    }
+    return tz;
+}
+
+// Границы месяца YYYY-MM в часовом поясе клиента
+function monthRange(month, tz) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(month));
+    const monthIndex = match ? Number(match[2]) - 1 : -1;
+    if (monthIndex < 0 || monthIndex > 11) {
+        throw new HttpError(400, "month должен быть в формате YYYY-MM");
+    }
+
+    const zone = parseTimeZone(tz);
+    const year = Number(match[1]);
+    return {
+        from: localMonthStart(year, monthIndex, zone),
+        to: localMonthStart(year, monthIndex + 1, zone)
+    };
+}
+
+// Разбор параметров списка из query string или тела запроса:
+//   limit  — размер страницы (1..100, по умолчанию 20)
+//   cursor — nextCursor из предыдущего ответа
+//   from   — заметки с этой даты включительно (ISO 8601)
+//   to     — заметки до этой даты, не включая её (ISO 8601)
+//   month  — вместо from/to: весь месяц YYYY-MM, с tz (имя IANA) — в часовом поясе клиента
+//   q      — слова для поиска в тексте, все должны встречаться (без учёта регистра)
+function parseListParams(params = {}) {
+    const limit = params.limit === undefined || params.limit === '' ? DEFAULT_PAGE_SIZE : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new HttpError(400, `limit должен быть целым числом от 1 до ${MAX_PAGE_SIZE}`);
+    }
+
+    let from = parseDate(params.from, 'from');
+    let to = parseDate(params.to, 'to');
+    if (params.month) {
+        if (from || to) {
+            throw new HttpError(400, "Укажите либо month, либо from/to");
+        }
+        ({ from, to } = monthRange(params.month, params.tz));
+    }
+    if (from && to && from >= to) {
+        throw new HttpError(400, "Дата from должна быть раньше to");
+    }
+
+    return {
+        limit,
+        cursor: params.cursor ? decodeCursor(params.cursor) : null,
+        from,
+        to,
+        words: String(params.q || '').toLowerCase().split(/\s+/).filter(Boolean)
+    };
+}
+
+// Шаблон LIKE для слова; спецсимволы экранируются знаком '!'
+function likePattern(word) {
+    return `%${word.replace(/[!%_]/g, ch => `!${ch}`)}%`;
+}
+
+// Страница заметок пользователя (кроме удалённых), новые сначала.
+// Возвращает { notes, nextCursor }; nextCursor равен null на последней странице.
+async function listNotes(userId, params = {}) {
+    const { limit, cursor, from, to, words } = params;
+    const conditions = ['user_id = $user_id', 'deleted_at IS NULL'];
+    const parameters = {
+        '$user_id': ydb.PrimitiveTypeUtf8().createOptionalValue(userId),
+        '$limit': ydb.PrimitiveTypeUint64().createOptionalValue((limit || MAX_PAGE_SIZE) + 1)
+    };
+
+    if (from) {
+        conditions.push('timestamp >= $from');
+        parameters['$from'] = ydb.PrimitiveTypeTimestamp().createOptionalValue(from);
+    }
+    if (to) {
+        conditions.push('timestamp < $to');
+        parameters['$to'] = ydb.PrimitiveTypeTimestamp().createOptionalValue(to);
+    }
+    if (cursor) {
+        // Keyset-пагинация: всё, что идёт после последней выданной заметки
+        conditions.push('(timestamp < $cursor_timestamp OR (timestamp = $cursor_timestamp AND id < $cursor_id))');
+        parameters['$cursor_timestamp'] = ydb.PrimitiveTypeTimestamp().createOptionalValue(cursor.timestamp);
+        parameters['$cursor_id'] = ydb.PrimitiveTypeUtf8().createOptionalValue(cursor.id);
+    }
+    (words || []).forEach((word, i) => {
+        conditions.push(`Unicode::ToLower(text) LIKE $word${i} ESCAPE '!'`);
+        parameters[`$word${i}`] = ydb.PrimitiveTypeUtf8().createOptionalValue(likePattern(word));
+    });
+
+    const session = await driver.createSession();
+    try {
+        const result = await session.execute({
+            text: `
+                SELECT id, text, timestamp, created_at, updated_at, deleted_at
+                FROM user_notes
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY timestamp DESC, id DESC
+                LIMIT $limit;
+            `,
+            parameters
+        });
+        const resultSet = result.resultSets[0];
+        const notes = [];
+        for (const row of resultSet.rows) {
+            notes.push(toNote(row));
+        }
+
+        // Лишняя запись показывает, что есть следующая страница
+        const hasMore = limit !== undefined && notes.length > limit;
+        const page = hasMore ? notes.slice(0, limit) : notes;
+        return {
+            notes: page,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+// Заметки для анализа: те же фильтры, чтение страницами не больше MAX_ANALYZE_NOTES
+async function collectNotes(userId, params) {
+    const notes = [];
+    let cursor = null;
+    do {
+        const page = await listNotes(userId, { ...params, limit: MAX_PAGE_SIZE, cursor });
+        notes.push(...page.notes);
+        cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+    } while (cursor && notes.length < MAX_ANALYZE_NOTES);
+
+    return { notes: notes.slice(0, MAX_ANALYZE_NOTES), truncated: Boolean(cursor) };
+}
+
+// Простой ИИ-анализ: группировка по ключевым словам
+function analyzeNotes(notes, query = "") {
+    const lowerQuery = query.toLowerCase();
+    const summary = {
+        total: notes.length,
+        byWeek: {},
+        themes: {}
+    };
+
+    // Группировка по неделям
+    notes.forEach(note => {
+        const week = new Date(note.timestamp).toLocaleDateString('ru-RU', {
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+        summary.byWeek[week] = (summary.byWeek[week] || 0) + 1;
+    });
+
+    // Поиск тем по ключевым словам
+    const keywords = {
+        "работа": ["работа", "проект", "задача", "встреча", "отчёт"],
+        "здоровье": ["здоровье", "спорт", "еда", "сон", "упражнения"],
+        "семья": ["семья", "дом", "дети", "родители"],
+        "финансы": ["деньги", "бюджет", "расходы", "доход", "счёт"]
+    };
+
+    Object.keys(keywords).forEach(theme => {
+        summary.themes[theme] = 0;
+        keywords[theme].forEach(word => {
+            notes.forEach(note => {
+                if (note.text.toLowerCase().includes(word)) {
+                    summary.themes[theme]++;
+                }
+            });
+        });
+    });
+
+    // Фильтрация по запросу
+    if (lowerQuery.includes("работа")) {
+        return `Вы писали о работе ${summary.themes["работа"]} раз(а).`;
+    }
+    if (lowerQuery.includes("здоровье")) {
+        return `Вы писали о здоровье ${summary.themes["здоровье"]} раз(а).`;
+    }
+    if (lowerQuery.includes("семья")) {
+        return `Вы писали о семье ${summary.themes["семья"]} раз(а).`;
+    }
+    if (lowerQuery.includes("финансы")) {
+        return `Вы писали о финансах ${summary.themes["финансы"]} раз(а).`;
+    }
+    if (lowerQuery.includes("недел")) {
+        const lastWeek = Object.keys(summary.byWeek).slice(0, 7).join(", ");
+        return `За последнюю неделю: ${lastWeek}. Всего заметок: ${summary.total}.`;
+    }
+
+    return `Всего заметок: ${summary.total}. Темы: работа — ${summary.themes["работа"]}, здоровье — ${summary.themes["здоровье"]}, семья — ${summary.themes["семья"]}, финансы — ${summary.themes["финансы"]}.`;
+}
+
+// Основной обработчик
+module.exports.handler = async (event, context) => {
+    try {
+        const body = event.body ? JSON.parse(event.body) : {};
+        const action = event.queryStringParameters?.action || body.action;
+        const id = event.queryStringParameters?.id || body.id || body.note?.id;
+
+        // Без токена доступны только регистрация и вход
+        const user = ["register", "login"].includes(action) ? null : authenticate(event);
+
+        await initDriver();
+        await createTable();
+
+        if (action === "register") {
+            const auth = await registerUser(body);
+            return {
+                statusCode: 201,
+                body: JSON.stringify(auth)
+            };
+        }
+
+        if (action === "login") {
+            const auth = await loginUser(body);
+            return {
+                statusCode: 200,
+                body: JSON.stringify(auth)
+            };
+        }
+
+        if (action === "me") {
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ user })
+            };
+        }
+
+        if (action === "save") {
+            const note = await saveNote(user.id, body.note);
+            return {
+                statusCode: 201,
+                body: JSON.stringify({ success: true, note })
+            };
+        }
+
+        if (["get", "update", "delete", "restore"].includes(action) && !id) {
+            throw new HttpError(400, "Не указан id заметки");
+        }
+
+        if (action === "get") {
+            const note = await getNote(user.id, id);
+            return {
+                statusCode: 200,
+                body: JSON.stringify(note)
+            };
+        }
+
+        if (action === "update") {
+            const note = await updateNote(user.id, id, body.note);
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ success: true, note })
+            };
+        }
+
+        if (action === "delete") {
+            const note = await deleteNote(user.id, id);
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ success: true, note })
+            };
+        }
+
+        if (action === "restore") {
+            const note = await restoreNote(user.id, id);
+            return {
+                statusCode: 200,
+                body: JSON.stringify({ success: true, note })
+            };
+        }
+
+        if (action === "list") {
+            const params = { ...body, ...event.queryStringParameters };
+            const query = parseListParams(params);
+            const page = await listNotes(user.id, query);
+            return {
+                statusCode: 200,
+                body: JSON.stringify({
+                    notes: page.notes,
+                    nextCursor: page.nextCursor,
+                    hasMore: page.nextCursor !== null,
+                    // Параметры, с которыми выполнен запрос; для следующей страницы передайте cursor=nextCursor
+                    query: {
+                        limit: query.limit,
+                        cursor: params.cursor || null,
+                        from: query.from ? query.from.toISOString() : null,
+                        to: query.to ? query.to.toISOString() : null,
+                        month: params.month || null,
+                        q: params.q || null
+                    }
+                })
+            };
+        }
+
+        if (action === "analyze") {
+            // Анализ учитывает from/to/q, но не страницы
+            const { from, to, words } = parseListParams({ ...body, ...event.queryStringParameters, limit: undefined, cursor: undefined });
+            const { notes, truncated } = await collectNotes(user.id, { from, to, words });
+            const result = analyzeNotes(notes, body.query);
+            return {
+                statusCode: 200,
+                body: JSON.stringify({
+                    result: truncated ? `${result} (учтены последние ${MAX_ANALYZE_NOTES} заметок)` : result
+                })
+            };
+        }
+
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: "Неизвестное действие" })
+        };
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return {
+                statusCode: err.statusCode,
+                body: JSON.stringify({ error: err.message })
+            };
+        }
+        // Некорректный JSON в теле запроса — ошибка клиента
+        if (err instanceof SyntaxError) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: "Некорректный JSON в запросе" })
+            };
+        }
+        console.error(err);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: err.message })
+        };
+    }
+};
+
+module.exports.issueToken = issueToken;
+module.exports.verifyToken = verifyToken;
@@ -0,0 +1,276 @@
+// report-exporter.js
+/**
+ * Report Exporter Module
+ * Turns forecasts, test-set predictions, training history and data statistics
+ * into CSV tables, a JSON document or a printable HTML report
+ */
+
+import { ARCHITECTURES } from './architectures.js';
+
+/**
+ * Serialize rows as CSV, quoting fields that need it
+ * @param {Array} headers - Column names
+ * @param {Array} rows - Arrays of values in header order
+ * @returns {string} - CSV text
+ */
+export function toCSV(headers, rows) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return `${[headers, ...rows].map(row => row.map(escape).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Any value
+ * @returns {string} - Safe HTML text
+ */
+function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Round to a fixed number of decimals, keeping null for missing values
+ * @param {number} value - Number
+ * @param {number} digits - Decimals
+ * @returns {number|null} - Rounded number
+ */
+function round(value, digits = 4) {
+    return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+class ReportExporter {
+    /**
+     * Assemble a report from application state
+     * @param {Object} state - Collected by StockPredictorApp.collectReportState()
+     * @param {Array} state.forecast - { label, price } per forecast day
+     * @param {Object} state.intervals - Denormalized { lower80, upper80, lower95, upper95 } or null
+     * @param {number} state.lastPrice - Last observed price
+     * @param {Object} state.testSet - { labels, predicted, actual } in price space, or null
+     * @param {Object} state.trainingHistory - gruModel.trainingHistory
+     * @param {Object} state.stats - dataLoader.getStats()
+     * @param {Object} state.model - { config, inputShape, outputShape }
+     * @param {Object} state.preprocessing - dataLoader.getPreprocessingState() summary
+     * @returns {Object} - Report with one table per section
+     */
+    buildReport(state) {
+        const { forecast = [], intervals, lastPrice, testSet, trainingHistory, stats, model, preprocessing } = state;
+
+        const tables = {};
+
+        if (forecast.length > 0) {
+            tables.forecast = {
+                title: 'Forecast',
+                headers: ['date', 'horizon', 'price', 'change_pct', 'lower80', 'upper80', 'lower95', 'upper95'],
+                rows: forecast.map(({ label, price }, i) => [
+                    label,
+                    i + 1,
+                    round(price),
+                    round((price - lastPrice) / lastPrice * 100, 3),
+                    // Intervals only cover the direct output head
+                    round(intervals?.lower80[i]),
+                    round(intervals?.upper80[i]),
+                    round(intervals?.lower95[i]),
+                    round(intervals?.upper95[i])
+                ])
+            };
+        }
+
+        if (testSet && testSet.predicted.length > 0) {
+            const horizon = testSet.predicted[0].length;
+            tables.testSet = {
+                title: 'Test Set: Actual vs Predicted',
+                headers: ['target_date', ...Array.from({ length: horizon }, (_, h) => [`predicted_${h + 1}`, `actual_${h + 1}`]).flat()],
+                rows: testSet.predicted.map((values, i) => [
+                    testSet.labels[i],
+                    ...values.flatMap((value, h) => [round(value), round(testSet.actual[i][h])])
+                ])
+            };
+        }
+
+        if (trainingHistory && trainingHistory.epochs.length > 0) {
+            tables.trainingHistory = {
+                title: 'Training History',
+                headers: ['epoch', 'loss', 'val_loss', 'mae', 'val_mae', 'learning_rate'],
+                rows: trainingHistory.epochs.map((epoch, i) => [
+                    epoch,
+                    round(trainingHistory.loss[i], 6),
+                    round(trainingHistory.valLoss[i], 6),
+                    round(trainingHistory.mae[i], 6),
+                    round(trainingHistory.valMae[i], 6),
+                    trainingHistory.learningRate[i]
+                ])
+            };
+        }
+
+        if (stats) {
+            tables.dataStats = {
+                title: 'Data Statistics',
+                headers: ['statistic', 'value'],
+                rows: [
+                    ['total_days', stats.totalDays],
+                    ['min_price', stats.minPrice],
+                    ['max_price', stats.maxPrice],
+                    ['mean_price', stats.meanPrice],
+                    ['mean_daily_return_pct', stats.meanReturn],
+                    ['daily_volatility_pct', stats.volatility],
+                    ['feature_count', stats.featureCount],
+                    ['features', stats.features.join(' ')]
+                ]
+            };
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            lastPrice,
+            model,
+            preprocessing,
+            trainingSummary: trainingHistory && trainingHistory.epochs.length > 0 ? {
+                epochs: trainingHistory.epochs.length,
+                bestEpoch: trainingHistory.bestEpoch,
+                stoppedEpoch: trainingHistory.stoppedEpoch,
+                lrDrops: trainingHistory.lrDrops
+            } : null,
+            tables
+        };
+    }
+
+    /**
+     * Report as JSON, with tables as arrays of objects
+     * @param {Object} report - Output of buildReport()
+     * @returns {string} - JSON text
+     */
+    toJSON(report) {
+        const sections = {};
+        Object.entries(report.tables).forEach(([name, table]) => {
+            sections[name] = table.rows.map(row =>
+                Object.fromEntries(table.headers.map((header, i) => [header, row[i]]))
+            );
+        });
+
+        const { tables, ...summary } = report;
+        return JSON.stringify({ ...summary, ...sections }, null, 2);
+    }
+
+    /**
+     * Self-contained printable HTML report
+     * @param {Object} report - Output of buildReport()
+     * @param {Array} charts - { title, image } with image as a data URL
+     * @returns {string} - HTML document
+     */
+    toHTML(report, charts = []) {
+        const table = ({ title, headers, rows }) => `
+            <h2>${escapeHTML(title)}</h2>
+            <table>
+                <thead><tr>${headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>`;
+
+        const modelInfo = report.model ? `
+            <p><strong>Model:</strong> ${escapeHTML(ARCHITECTURES[report.model.config.architecture] || 'Stacked GRU')}
+            ${escapeHTML((report.model.config.units || []).join('-'))} units,
+            lookback ${escapeHTML(report.model.inputShape?.[0])} days, horizon ${escapeHTML(report.model.outputShape)} days,
+            ${escapeHTML(report.model.inputShape?.[1])} features</p>` : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>S&amp;P 500 Forecast Report</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #1a1a1a; margin: 30px; }
+        h1 { color: #be123c; }
+        h2 { color: #9f1239; border-bottom: 1px solid #fda4af; padding-bottom: 4px; margin-top: 30px; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.8rem; margin-top: 10px; }
+        th, td { border: 1px solid #e5e7eb; padding: 4px 6px; text-align: right; }
+        th { background: #fff1f2; }
+        td:first-child, th:first-child { text-align: left; }
+        img { max-width: 100%; border: 1px solid #e5e7eb; margin-top: 10px; }
+        .chart { page-break-inside: avoid; }
+        @media print { .no-print { display: none; } h2 { page-break-after: avoid; } }
+    </style>
+</head>
+<body>
+    <button class="no-print" onclick="window.print()">Print / Save as PDF</button>
+    <h1>S&amp;P 500 Forecast Report</h1>
+    <p>Generated ${escapeHTML(new Date(report.generatedAt).toLocaleString())}${Number.isFinite(report.lastPrice) ? ` · Last price $${report.lastPrice.toFixed(2)}` : ''}</p>
+    ${modelInfo}
+    ${charts.map(chart => `
+    <div class="chart">
+        <h2>${escapeHTML(chart.title)}</h2>
+        <img src="${chart.image}" alt="${escapeHTML(chart.title)}">
+    </div>`).join('')}
+    ${Object.values(report.tables).map(table).join('')}
+</body>
+</html>`;
+    }
+
+    /**
+     * Offer text content as a file download
+     * @param {string} fileName - Suggested file name
+     * @param {string} content - File content
+     * @param {string} type - MIME type
+     */
+    download(fileName, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Download one CSV file per report table
+     * @param {Object} report - Output of buildReport()
+     * @param {string} prefix - File name prefix
+     * @returns {Array} - Downloaded file names
+     */
+    exportCSV(report, prefix = 'sp500-report') {
+        return Object.entries(report.tables).map(([name, table]) => {
+            const fileName = `${prefix}-${name}.csv`;
+            this.download(fileName, toCSV(table.headers, table.rows), 'text/csv');
+            return fileName;
+        });
+    }
+
+    /**
+     * Download the report as JSON
+     * @param {Object} report - Output of buildReport()
+     * @param {string} prefix - File name prefix
+     */
+    exportJSON(report, prefix = 'sp500-report') {
+        this.download(`${prefix}.json`, this.toJSON(report), 'application/json');
+    }
+
+    /**
+     * Open the printable HTML report in a new window (falls back to a download)
+     * @param {Object} report - Output of buildReport()
+     * @param {Array} charts - { title, image } chart snapshots
+     * @param {string} prefix - File name prefix
+     */
+    exportHTML(report, charts = [], prefix = 'sp500-report') {
+        const html = this.toHTML(report, charts);
+        const reportWindow = window.open('', '_blank');
+
+        if (reportWindow) {
+            reportWindow.document.open();
+            reportWindow.document.write(html);
+            reportWindow.document.close();
+        } else {
+            // Pop-up blocked
+            this.download(`${prefix}.html`, html, 'text/html');
+        }
+    }
+}
+
+// Export singleton instance
+export const reportExporter = new ReportExporter();
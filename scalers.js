@@ -0,0 +1,284 @@
+// scalers.js
+/**
+ * Scalers Module
+ * Feature and target scalers that are fitted on the training portion only,
+ * applied unchanged to validation/test/latest windows and serialized with the model
+ */
+
+/**
+ * Available scaler types and their labels
+ */
+export const SCALER_TYPES = {
+    minmax: 'Min-Max [0, 1]',
+    zscore: 'Z-Score',
+    robust: 'Robust (median / IQR)',
+    logreturn: 'Log-Return (relative to window end)'
+};
+
+/**
+ * Quantile of a sorted array with linear interpolation
+ * @param {Array} sorted - Sorted numbers
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} - Quantile value
+ */
+function quantile(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Base class: subclasses implement fit(), transformValue() and inverseValue()
+ */
+class Scaler {
+    constructor(type, params = null) {
+        this.type = type;
+        this.params = params; // Fitted parameters, null until fit()
+        this.relative = false; // Relative scalers need an anchor value per window
+    }
+
+    /**
+     * Estimate parameters from training values
+     * @param {Array} values - Training values
+     * @returns {Scaler} - this
+     */
+    fit(values) {
+        throw new Error(`${this.type} scaler does not implement fit()`);
+    }
+
+    /**
+     * Check that training values are usable
+     * @param {Array} values - Training values
+     */
+    validate(values) {
+        if (!values || values.length === 0) {
+            throw new Error(`Cannot fit ${this.type} scaler on empty data`);
+        }
+        if (values.some(v => !Number.isFinite(v))) {
+            throw new Error(`Cannot fit ${this.type} scaler on non-finite values`);
+        }
+    }
+
+    /**
+     * Scale an array
+     * @param {Array} values - Raw values
+     * @param {number} anchor - Reference value (relative scalers only)
+     * @returns {Array} - Scaled values
+     */
+    transform(values, anchor) {
+        this.checkFitted();
+        return values.map(v => this.transformValue(v, anchor));
+    }
+
+    /**
+     * Undo scaling of an array
+     * @param {Array} values - Scaled values
+     * @param {number} anchor - Reference value (relative scalers only)
+     * @returns {Array} - Raw values
+     */
+    inverseTransform(values, anchor) {
+        this.checkFitted();
+        return values.map(v => this.inverseValue(v, anchor));
+    }
+
+    checkFitted() {
+        if (!this.params) {
+            throw new Error(`${this.type} scaler is not fitted`);
+        }
+    }
+
+    /**
+     * Serializable form, restored by scalerFromJSON()
+     * @returns {Object} - { type, ...params }
+     */
+    toJSON() {
+        return { type: this.type, ...this.params };
+    }
+}
+
+class MinMaxScaler extends Scaler {
+    constructor(params) {
+        super('minmax', params);
+    }
+
+    fit(values) {
+        this.validate(values);
+        let min = Infinity;
+        let max = -Infinity;
+        values.forEach(v => {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        });
+        this.params = { min, max, range: max - min || 1 };
+        return this;
+    }
+
+    transformValue(value) {
+        return (value - this.params.min) / this.params.range;
+    }
+
+    inverseValue(value) {
+        return value * this.params.range + this.params.min;
+    }
+}
+
+class StandardScaler extends Scaler {
+    constructor(params) {
+        super('zscore', params);
+    }
+
+    fit(values) {
+        this.validate(values);
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+        this.params = { mean, std: Math.sqrt(variance) || 1 };
+        return this;
+    }
+
+    transformValue(value) {
+        return (value - this.params.mean) / this.params.std;
+    }
+
+    inverseValue(value) {
+        return value * this.params.std + this.params.mean;
+    }
+}
+
+class RobustScaler extends Scaler {
+    constructor(params) {
+        super('robust', params);
+    }
+
+    fit(values) {
+        this.validate(values);
+        const sorted = [...values].sort((a, b) => a - b);
+        this.params = {
+            median: quantile(sorted, 0.5),
+            iqr: quantile(sorted, 0.75) - quantile(sorted, 0.25) || 1
+        };
+        return this;
+    }
+
+    transformValue(value) {
+        return (value - this.params.median) / this.params.iqr;
+    }
+
+    inverseValue(value) {
+        return value * this.params.iqr + this.params.median;
+    }
+}
+
+/**
+ * Log price relative to the window's last observed value, divided by the
+ * standard deviation of one-day log returns in the training data
+ */
+class LogReturnScaler extends Scaler {
+    constructor(params) {
+        super('logreturn', params);
+        this.relative = true;
+    }
+
+    /**
+     * Whether a series can be log-scaled
+     * @param {Array} values - Training values
+     * @returns {boolean} - True if every value is strictly positive
+     */
+    static supports(values) {
+        return values.length > 1 && values.every(v => v > 0);
+    }
+
+    fit(values) {
+        this.validate(values);
+        if (!LogReturnScaler.supports(values)) {
+            throw new Error('Log-return scaler needs at least two strictly positive values');
+        }
+
+        const returns = values.slice(1).map((v, i) => Math.log(v / values[i]));
+        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length;
+        this.params = { scale: Math.sqrt(variance) || 1 };
+        return this;
+    }
+
+    transformValue(value, anchor) {
+        if (!(anchor > 0)) {
+            throw new Error('Log-return scaler needs a positive anchor value');
+        }
+        return Math.log(value / anchor) / this.params.scale;
+    }
+
+    inverseValue(value, anchor) {
+        if (!(anchor > 0)) {
+            throw new Error('Log-return scaler needs a positive anchor value');
+        }
+        return anchor * Math.exp(value * this.params.scale);
+    }
+}
+
+const SCALER_CLASSES = {
+    minmax: MinMaxScaler,
+    zscore: StandardScaler,
+    robust: RobustScaler,
+    logreturn: LogReturnScaler
+};
+
+/**
+ * Create an unfitted scaler
+ * @param {string} type - Key of SCALER_TYPES
+ * @returns {Scaler} - New scaler
+ */
+export function createScaler(type) {
+    const ScalerClass = SCALER_CLASSES[type];
+    if (!ScalerClass) {
+        throw new Error(`Unknown scaler type: ${type}`);
+    }
+    return new ScalerClass();
+}
+
+/**
+ * Whether a scaler type can be fitted on a series
+ * @param {string} type - Key of SCALER_TYPES
+ * @param {Array} values - Training values
+ * @returns {boolean} - True if the series is compatible
+ */
+export function scalerSupports(type, values) {
+    return type !== 'logreturn' || LogReturnScaler.supports(values);
+}
+
+/**
+ * Restore a scaler from its serialized form
+ * @param {Object} json - Output of scaler.toJSON(); plain { min, max, range }
+ *                        objects from older saved models are read as min-max
+ * @returns {Scaler} - Fitted scaler
+ */
+export function scalerFromJSON(json) {
+    const { type = 'minmax', ...params } = json || {};
+    const ScalerClass = SCALER_CLASSES[type];
+    if (!ScalerClass) {
+        throw new Error(`Unknown scaler type: ${type}`);
+    }
+    return new ScalerClass(params);
+}
+
+/**
+ * Serialize a name -> scaler map
+ * @param {Object} scalers - Fitted scalers
+ * @returns {Object} - Name -> JSON
+ */
+export function serializeScalers(scalers) {
+    return Object.fromEntries(
+        Object.entries(scalers || {}).map(([name, scaler]) => [name, scaler.toJSON()])
+    );
+}
+
+/**
+ * Restore a name -> scaler map
+ * @param {Object} json - Output of serializeScalers()
+ * @returns {Object} - Name -> fitted scaler
+ */
+export function deserializeScalers(json) {
+    return Object.fromEntries(
+        Object.entries(json || {}).map(([name, params]) => [name, scalerFromJSON(params)])
+    );
+}
@@ -0,0 +1,127 @@
+// strategy-simulator.js
+/**
+ * Strategy Simulator Module
+ * Turns forecasts into daily long/flat/short positions and scores the
+ * resulting equity curve against buy-and-hold
+ */
+
+/**
+ * Default strategy settings
+ */
+export const DEFAULT_STRATEGY_CONFIG = {
+    signalDay: 1, // Horizon day whose forecast drives the signal
+    longThreshold: 0.2, // Go long when the forecast return exceeds this (%)
+    shortThreshold: 0.2, // Go short when the forecast return is below minus this (%)
+    allowShort: true, // Otherwise bearish signals go flat
+    costBps: 5, // Transaction cost per unit of position change (basis points)
+    initialCapital: 10000,
+    periodsPerYear: 252 // Trading days used to annualize the Sharpe ratio
+};
+
+class StrategySimulator {
+    /**
+     * Position implied by one forecast
+     * @param {number} expectedReturn - Forecast return in %
+     * @param {Object} config - Strategy settings
+     * @returns {number} - 1 (long), 0 (flat) or -1 (short)
+     */
+    signal(expectedReturn, config) {
+        if (expectedReturn > config.longThreshold) {
+            return 1;
+        }
+        if (expectedReturn < -config.shortThreshold) {
+            return config.allowShort ? -1 : 0;
+        }
+        return 0;
+    }
+
+    /**
+     * Simulate the strategy and buy-and-hold over consecutive trading days.
+     * A position is opened at the close of the last observed day and held
+     * until the next close, so only the day +1 outcome is ever traded.
+     * @param {Array} periods - { label, reference, predicted, actual } per day, where
+     *                          reference is the last observed price and predicted/actual
+     *                          are price vectors over the horizon
+     * @param {Object} options - Strategy settings (see DEFAULT_STRATEGY_CONFIG)
+     * @returns {Object} - { labels, positions, strategy, buyAndHold, config }
+     */
+    simulate(periods, options = {}) {
+        const config = { ...DEFAULT_STRATEGY_CONFIG, ...options };
+
+        if (periods.length < 2) {
+            throw new Error('Need at least two forecast days to simulate a strategy');
+        }
+        const horizon = periods[0].predicted.length;
+        if (config.signalDay < 1 || config.signalDay > horizon) {
+            throw new Error(`Signal day must be between 1 and ${horizon}`);
+        }
+
+        const positions = periods.map(({ reference, predicted }) =>
+            this.signal((predicted[config.signalDay - 1] / reference - 1) * 100, config)
+        );
+        const marketReturns = periods.map(({ reference, actual }) => actual[0] / reference - 1);
+
+        return {
+            labels: periods.map(period => period.label),
+            positions,
+            strategy: this.score(positions, marketReturns, config),
+            buyAndHold: this.score(positions.map(() => 1), marketReturns, config),
+            config
+        };
+    }
+
+    /**
+     * Equity curve and performance statistics for a position series
+     * @param {Array} positions - Position held over each day
+     * @param {Array} marketReturns - Simple return of the asset over each day
+     * @param {Object} config - Strategy settings
+     * @returns {Object} - { equity, returns, totalReturn, sharpe, maxDrawdown, winRate, trades, exposure }
+     */
+    score(positions, marketReturns, config) {
+        const cost = config.costBps / 10000;
+        const returns = [];
+        const equity = [];
+        let value = config.initialCapital;
+        let previous = 0;
+        let peak = value;
+        let maxDrawdown = 0;
+        let trades = 0;
+
+        positions.forEach((position, i) => {
+            const turnover = Math.abs(position - previous);
+            if (turnover > 0) {
+                trades++;
+            }
+
+            const dailyReturn = position * marketReturns[i] - turnover * cost;
+            value *= 1 + dailyReturn;
+            peak = Math.max(peak, value);
+            maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+
+            returns.push(dailyReturn);
+            equity.push(value);
+            previous = position;
+        });
+
+        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+        const std = Math.sqrt(variance);
+
+        // Win rate only counts days with market exposure
+        const active = returns.filter((_, i) => positions[i] !== 0);
+
+        return {
+            equity,
+            returns,
+            totalReturn: (value / config.initialCapital - 1) * 100,
+            sharpe: std > 0 ? (mean / std) * Math.sqrt(config.periodsPerYear) : 0,
+            maxDrawdown: maxDrawdown * 100,
+            winRate: active.length > 0 ? active.filter(r => r > 0).length / active.length * 100 : 0,
+            trades,
+            exposure: active.length / positions.length * 100
+        };
+    }
+}
+
+// Export singleton instance
+export const strategySimulator = new StrategySimulator();
@@ -0,0 +1,341 @@
+// training-client.js
+/**
+ * Training Client Module
+ * Main-thread side of the training worker protocol (see training-worker.js).
+ * Trained weights are loaded back into gruModel so saving and the model
+ * registry keep working on the main thread.
+ */
+
+import { gruModel, GRUModel, DEFAULT_MODEL_CONFIG } from './gru.js';
+import { dataLoader } from './data-loader.js';
+
+/**
+ * Encode a tensor or nested array for postMessage
+ * @param {tf.Tensor|Array} input - Tensor or nested array
+ * @returns {Object} - { values: Float32Array, shape }
+ */
+function encode(input) {
+    if (Array.isArray(input)) {
+        const tensor = tf.tensor(input);
+        const encoded = encode(tensor);
+        tensor.dispose();
+        return encoded;
+    }
+
+    // Copy so transferring the buffer never detaches backend memory
+    return { values: new Float32Array(input.dataSync()), shape: input.shape };
+}
+
+/**
+ * Buffers of encoded tensors, to transfer instead of copy
+ * @param {Array} encoded - Encoded tensors
+ * @returns {Array} - ArrayBuffers
+ */
+function buffersOf(encoded) {
+    return encoded.map(item => item.values.buffer);
+}
+
+class TrainingClient {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map(); // id -> { resolve, reject, onBatchEnd, onEpochEnd }
+        this.nextId = 1;
+        this.localModel = null; // Model trained on this thread where Web Workers are unavailable
+    }
+
+    /**
+     * Start the worker on first use
+     * @returns {Worker} - Training worker
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./training-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.error('Training worker error:', event);
+                this.rejectAll(new Error(event.message || 'Training worker failed to start'));
+                this.terminate();
+            };
+        }
+        return this.worker;
+    }
+
+    /**
+     * Send a request and wait for its result
+     * @param {string} type - Request type
+     * @param {Object} payload - Request fields
+     * @param {Array} transfer - ArrayBuffers to transfer
+     * @param {Object} callbacks - Progress callbacks (onBatchEnd, onEpochEnd)
+     * @returns {Promise<*>} - Result from the worker
+     */
+    request(type, payload = {}, transfer = [], callbacks = {}) {
+        const worker = this.getWorker();
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, ...callbacks });
+            worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    /**
+     * Route a worker message to its pending request
+     * @param {Object} message - Worker response
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'batch':
+                if (request.onBatchEnd) request.onBatchEnd(message.batch, message.logs);
+                break;
+            case 'epoch':
+                if (request.onEpochEnd) request.onEpochEnd(message.epoch, message.logs);
+                break;
+            case 'result':
+                this.pending.delete(message.id);
+                request.resolve(message.result);
+                break;
+            case 'error':
+                this.pending.delete(message.id);
+                request.reject(new Error(message.message));
+                break;
+            default:
+                console.warn('Unknown worker message:', message);
+        }
+    }
+
+    /**
+     * Fail every pending request
+     * @param {Error} error - Reason
+     */
+    rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    /**
+     * Build and train a model in the worker, then load its weights into gruModel.
+     * A validation tail of the training samples drives early stopping; the test
+     * samples are left for the final evaluation.
+     * @param {Object} datasets - Output of dataLoader.preprocessData()
+     * @param {Object} config - Model configuration (see DEFAULT_MODEL_CONFIG)
+     * @param {Object} callbacks - onBatchEnd(batch, logs), onEpochEnd(epoch, logs)
+     * @returns {Promise<Object>} - Training history
+     */
+    async train(datasets, config, callbacks = {}) {
+        const split = dataLoader.getValidationSplit(
+            datasets,
+            config.validationFraction ?? DEFAULT_MODEL_CONFIG.validationFraction
+        );
+        const data = {};
+        Object.entries(split).forEach(([name, tensor]) => {
+            data[name] = encode(tensor);
+            tensor.dispose();
+        });
+
+        const { history, artifacts } = await this.request('train', {
+            inputShape: [datasets.sequenceLength, datasets.featureNames.length],
+            outputShape: datasets.forecastDays,
+            config,
+            data
+        }, buffersOf(Object.values(data)), callbacks);
+
+        const metadata = await gruModel.loadWeights(tf.io.fromMemory(artifacts));
+        if (!metadata) {
+            throw new Error('Could not load the trained weights from the worker');
+        }
+
+        return history;
+    }
+
+    /**
+     * Fine-tune the worker's model on new windows, then load its weights into gruModel
+     * @param {Object} data - { X_train, y_train, X_val, y_val } tensors or arrays
+     * @param {Object} options - { epochs, learningRate }
+     * @param {Object} callbacks - onBatchEnd(batch, logs), onEpochEnd(epoch, logs)
+     * @returns {Promise<Object>} - History of the fine-tune
+     */
+    async fineTune(data, options, callbacks = {}) {
+        const encoded = {};
+        Object.entries(data).forEach(([name, value]) => {
+            encoded[name] = encode(value);
+        });
+
+        const { history, artifacts } = await this.request('fineTune', {
+            options,
+            data: encoded
+        }, buffersOf(Object.values(encoded)), callbacks);
+
+        const metadata = await gruModel.loadWeights(tf.io.fromMemory(artifacts));
+        if (!metadata) {
+            throw new Error('Could not load the fine-tuned weights from the worker');
+        }
+
+        return history;
+    }
+
+    /**
+     * Train a separate model, e.g. an ensemble member, a search trial or a
+     * backtest fold, without touching gruModel or the worker's model. Where Web
+     * Workers are unavailable (Node, the CLI) it trains on this thread instead.
+     * @param {Object} spec - { inputShape, outputShape, config, artifacts }; with
+     *                        artifacts (from GRUModel.toArtifacts) training continues from those weights
+     * @param {Object} data - { X_train, y_train, X_val, y_val } tensors or arrays
+     * @param {Object} callbacks - onBatchEnd(batch, logs), onEpochEnd(epoch, logs)
+     * @returns {Promise<GRUModel>} - Trained model on this thread, with its training history
+     */
+    async trainModel(spec, data, callbacks = {}) {
+        const { inputShape, outputShape, config = {}, artifacts = null } = spec;
+        const model = new GRUModel();
+
+        if (typeof Worker === 'undefined') {
+            return this.trainLocally(model, spec, data, callbacks);
+        }
+
+        const encoded = {};
+        Object.entries(data).forEach(([name, value]) => {
+            encoded[name] = encode(value);
+        });
+
+        const result = await this.request('trainModel', {
+            inputShape,
+            outputShape,
+            config,
+            artifacts,
+            data: encoded
+        }, buffersOf(Object.values(encoded)), callbacks);
+
+        const metadata = await model.loadWeights(tf.io.fromMemory(result.artifacts));
+        if (!metadata) {
+            throw new Error('Could not load the trained weights from the worker');
+        }
+        model.trainingHistory = result.history;
+        return model;
+    }
+
+    /**
+     * trainModel() on this thread
+     * @param {GRUModel} model - Empty model to train
+     * @param {Object} spec - See trainModel()
+     * @param {Object} data - See trainModel()
+     * @param {Object} callbacks - See trainModel()
+     * @returns {Promise<GRUModel>} - The trained model
+     */
+    async trainLocally(model, spec, data, callbacks) {
+        const { inputShape, outputShape, config = {}, artifacts = null } = spec;
+        const tensors = {};
+        Object.entries(data).forEach(([name, value]) => {
+            tensors[name] = Array.isArray(value) ? tf.tensor(value) : value;
+        });
+
+        this.localModel = model;
+        try {
+            if (artifacts) {
+                const metadata = await model.loadWeights(tf.io.fromMemory(artifacts));
+                if (!metadata) {
+                    throw new Error('Could not load the starting weights');
+                }
+            } else {
+                model.inputShape = inputShape;
+                model.outputShape = outputShape;
+                model.buildModel(config);
+            }
+
+            await model.train(tensors.X_train, tensors.y_train, tensors.X_val, tensors.y_val, callbacks, config);
+            return model;
+        } catch (error) {
+            model.dispose();
+            throw error;
+        } finally {
+            this.localModel = null;
+            // Only dispose tensors created here
+            Object.entries(data).forEach(([name, value]) => {
+                if (Array.isArray(value)) {
+                    tensors[name].dispose();
+                }
+            });
+        }
+    }
+
+    /**
+     * Cancel training after the current batch
+     */
+    stop() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'stop' });
+        }
+        if (this.localModel) {
+            this.localModel.stopTraining();
+        }
+    }
+
+    /**
+     * Predict a batch of windows
+     * @param {tf.Tensor|Array} X - Windows [samples, steps, features]
+     * @returns {Promise<Array>} - Normalized forecasts [samples, horizon]
+     */
+    predict(X) {
+        const encoded = encode(X);
+        return this.request('predict', { X: encoded }, buffersOf([encoded]));
+    }
+
+    /**
+     * Evaluate on a labelled set
+     * @param {tf.Tensor|Array} X - Windows
+     * @param {tf.Tensor|Array} y - Targets
+     * @returns {Promise<Object>} - { loss, mae, rmse }
+     */
+    evaluate(X, y) {
+        const encodedX = encode(X);
+        const encodedY = encode(y);
+        return this.request('evaluate', { X: encodedX, y: encodedY }, buffersOf([encodedX, encodedY]));
+    }
+
+    /**
+     * Forecast from one window
+     * @param {tf.Tensor|Array} window - Window [1, steps, features]
+     * @returns {Promise<Array>} - Normalized forecast
+     */
+    forecast(window) {
+        const encoded = encode(window);
+        return this.request('forecast', { window: encoded }, buffersOf([encoded]));
+    }
+
+    /**
+     * Forecast with Monte Carlo dropout intervals
+     * @param {tf.Tensor|Array} window - Window [1, steps, features]
+     * @param {number} samples - Stochastic forward passes
+     * @returns {Promise<Object>} - Normalized { mean, median, std, lower80, upper80, lower95, upper95, samples }
+     */
+    forecastWithIntervals(window, samples = gruModel.config.mcSamples) {
+        const encoded = encode(window);
+        return this.request('forecastWithIntervals', { window: encoded, samples }, buffersOf([encoded]));
+    }
+
+    /**
+     * Copy gruModel (e.g. after loading from the registry) into the worker
+     * @returns {Promise<boolean>} - Resolves once the worker holds the model
+     */
+    async syncModel() {
+        const artifacts = await gruModel.toArtifacts();
+        return this.request('load', { artifacts });
+    }
+
+    /**
+     * Stop the worker and fail pending requests
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAll(new Error('Training worker terminated'));
+    }
+}
+
+// Export singleton instance
+export const trainingClient = new TrainingClient();
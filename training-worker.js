@@ -0,0 +1,203 @@
+// training-worker.js
+/**
+ * Training Worker
+ * Runs GRU training, evaluation and forecasting off the main thread.
+ *
+ * Requests (main -> worker), each with a numeric id:
+ *   { id, type: 'train', inputShape, outputShape, config, data: { X_train, y_train, X_val, y_val } }
+ *   { id, type: 'fineTune', options, data: { X_train, y_train, X_val, y_val } }
+ *   { id, type: 'trainModel', inputShape, outputShape, config, artifacts, data: { X_train, y_train, X_val, y_val } }
+ *   { id, type: 'predict', X }
+ *   { id, type: 'evaluate', X, y }
+ *   { id, type: 'forecast', window }
+ *   { id, type: 'forecastWithIntervals', window, samples }
+ *   { id, type: 'load', artifacts }
+ *   { type: 'stop' } - cancel training after the current batch
+ * Tensors travel as { values: Float32Array, shape }.
+ *
+ * Responses (worker -> main):
+ *   { id, type: 'batch', batch, logs } - after every training batch
+ *   { id, type: 'epoch', epoch, logs } - after every training epoch
+ *   { id, type: 'result', result }
+ *   { id, type: 'error', message }
+ * 'train', 'fineTune' and 'trainModel' resolve with { history, artifacts } so the main thread can load the weights.
+ * 'trainModel' trains a separate model (ensemble member, search trial, backtest fold),
+ * starting from `artifacts` when given, and leaves the main model untouched.
+ */
+
+import 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js';
+import { GRUModel } from './gru.js';
+
+const model = new GRUModel();
+
+// Separate model being trained by a 'trainModel' request
+let candidate = null;
+
+/**
+ * Rebuild a tensor sent as { values, shape }
+ * @param {Object} encoded - Encoded tensor
+ * @returns {tf.Tensor} - Tensor
+ */
+function decode(encoded) {
+    return tf.tensor(encoded.values, encoded.shape);
+}
+
+const handlers = {
+    async train(message) {
+        const { inputShape, outputShape, config, data } = message;
+        const tensors = {};
+        Object.entries(data).forEach(([name, encoded]) => {
+            tensors[name] = decode(encoded);
+        });
+
+        try {
+            model.inputShape = inputShape;
+            model.outputShape = outputShape;
+            model.buildModel(config);
+
+            await model.train(tensors.X_train, tensors.y_train, tensors.X_val, tensors.y_val, {
+                onBatchEnd: (batch, logs) => self.postMessage({ id: message.id, type: 'batch', batch, logs }),
+                onEpochEnd: (epoch, logs) => self.postMessage({ id: message.id, type: 'epoch', epoch, logs })
+            }, config);
+        } finally {
+            Object.values(tensors).forEach(tensor => tensor.dispose());
+        }
+
+        return {
+            history: model.trainingHistory,
+            artifacts: await model.toArtifacts()
+        };
+    },
+
+    async fineTune(message) {
+        const tensors = {};
+        Object.entries(message.data).forEach(([name, encoded]) => {
+            tensors[name] = decode(encoded);
+        });
+
+        let history;
+        try {
+            history = await model.fineTune(tensors.X_train, tensors.y_train, tensors.X_val, tensors.y_val, {
+                onBatchEnd: (batch, logs) => self.postMessage({ id: message.id, type: 'batch', batch, logs }),
+                onEpochEnd: (epoch, logs) => self.postMessage({ id: message.id, type: 'epoch', epoch, logs })
+            }, message.options);
+        } finally {
+            Object.values(tensors).forEach(tensor => tensor.dispose());
+        }
+
+        return {
+            history,
+            artifacts: await model.toArtifacts()
+        };
+    },
+
+    async trainModel(message) {
+        const { inputShape, outputShape, config, artifacts, data } = message;
+        const tensors = {};
+        Object.entries(data).forEach(([name, encoded]) => {
+            tensors[name] = decode(encoded);
+        });
+
+        candidate = new GRUModel();
+        try {
+            if (artifacts) {
+                const metadata = await candidate.loadWeights(tf.io.fromMemory(artifacts));
+                if (!metadata) {
+                    throw new Error('Worker could not load the starting weights');
+                }
+            } else {
+                candidate.inputShape = inputShape;
+                candidate.outputShape = outputShape;
+                candidate.buildModel(config);
+            }
+
+            await candidate.train(tensors.X_train, tensors.y_train, tensors.X_val, tensors.y_val, {
+                onBatchEnd: (batch, logs) => self.postMessage({ id: message.id, type: 'batch', batch, logs }),
+                onEpochEnd: (epoch, logs) => self.postMessage({ id: message.id, type: 'epoch', epoch, logs })
+            }, config);
+
+            return {
+                history: candidate.trainingHistory,
+                artifacts: await candidate.toArtifacts()
+            };
+        } finally {
+            Object.values(tensors).forEach(tensor => tensor.dispose());
+            candidate.dispose();
+            candidate = null;
+        }
+    },
+
+    predict(message) {
+        const X = decode(message.X);
+        try {
+            const output = model.predict(X);
+            const predictions = output.arraySync();
+            output.dispose();
+            return predictions;
+        } finally {
+            X.dispose();
+        }
+    },
+
+    evaluate(message) {
+        const X = decode(message.X);
+        const y = decode(message.y);
+        try {
+            return model.evaluate(X, y);
+        } finally {
+            X.dispose();
+            y.dispose();
+        }
+    },
+
+    forecast(message) {
+        const window = decode(message.window);
+        try {
+            return model.forecast(window);
+        } finally {
+            window.dispose();
+        }
+    },
+
+    forecastWithIntervals(message) {
+        const window = decode(message.window);
+        try {
+            return model.forecastWithIntervals(window, message.samples);
+        } finally {
+            window.dispose();
+        }
+    },
+
+    async load(message) {
+        const metadata = await model.loadWeights(tf.io.fromMemory(message.artifacts));
+        if (!metadata) {
+            throw new Error('Worker could not load the model');
+        }
+        return true;
+    }
+};
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    // Stop is fire-and-forget and must not wait behind the running request
+    if (message.type === 'stop') {
+        model.stopTraining();
+        if (candidate) {
+            candidate.stopTraining();
+        }
+        return;
+    }
+
+    const handler = handlers[message.type];
+    try {
+        if (!handler) {
+            throw new Error(`Unknown request type: ${message.type}`);
+        }
+        const result = await handler(message);
+        self.postMessage({ id: message.id, type: 'result', result });
+    } catch (error) {
+        console.error(`Worker ${message.type} failed:`, error);
+        self.postMessage({ id: message.id, type: 'error', message: error.message });
+    }
+};